@@ -1,12 +1,16 @@
 // @ts-check
 import { defineConfig } from 'astro/config';
 import starlight from '@astrojs/starlight';
+import phpApiReference from './src/integrations/php-api-reference.mjs';
+import test262Conformance from './src/integrations/test262-conformance.mjs';
 
 // https://astro.build/config
 export default defineConfig({
 	site: 'https://php-temporal.github.io',
 	base: '/php-temporal',
 	integrations: [
+		phpApiReference(),
+		test262Conformance(),
 		starlight({
 			title: 'PHP Temporal',
 			description: 'A PHP port of the JavaScript Temporal API — precise, immutable date/time types for PHP 8.4+',
@@ -32,19 +36,15 @@ export default defineConfig({
 					],
 				},
 				{
+					// Pages are generated from src/*.php by ./src/integrations/php-api-reference.mjs
 					label: 'API Reference',
+					autogenerate: { directory: 'api' },
+				},
+				{
+					label: 'Project',
 					items: [
-						{ label: 'PlainDate', slug: 'api/plain-date' },
-						{ label: 'PlainTime', slug: 'api/plain-time' },
-						{ label: 'PlainDateTime', slug: 'api/plain-date-time' },
-						{ label: 'Duration', slug: 'api/duration' },
-						{ label: 'Instant', slug: 'api/instant' },
-						{ label: 'ZonedDateTime', slug: 'api/zoned-date-time' },
-						{ label: 'TimeZone', slug: 'api/time-zone' },
-						{ label: 'Calendar', slug: 'api/calendar' },
-						{ label: 'PlainYearMonth', slug: 'api/plain-year-month' },
-						{ label: 'PlainMonthDay', slug: 'api/plain-month-day' },
-						{ label: 'Temporal\\Now', slug: 'api/now' },
+						// Generated from ../tests/fixtures by ./src/integrations/test262-conformance.mjs
+						{ label: 'test262 Conformance', slug: 'conformance' },
 					],
 				},
 			],
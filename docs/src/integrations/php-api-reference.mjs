@@ -0,0 +1,268 @@
+/**
+ * Astro integration that builds the API reference from the PHP source.
+ *
+ * On every `astro dev` / `astro build` it reads `src/*.php` (see php-source.mjs)
+ * and writes one Markdown page per class to `src/content/docs/api/`, which is
+ * not committed. The Starlight sidebar lists that directory with `autogenerate`,
+ * so a new class gets a page and a sidebar entry without touching the config.
+ *
+ * Hand-written prose lives in `src/api-prose/<slug>.md` and is merged into the
+ * generated page of the same slug:
+ *
+ * - its frontmatter is kept, and only `title`/`description` it lacks are added;
+ * - the text before its first `##` heading replaces the class docblock;
+ * - a `### \`method()\`` section is appended to the generated entry of that
+ *   method, wherever it sits in the prose;
+ * - a `##` section named like a generated one (Constructor, Constants,
+ *   Properties, Static methods, Methods) is appended to that section, except
+ *   that rows of a Properties table only fill in descriptions for properties
+ *   the source leaves undocumented;
+ * - any other `##` section follows the generated reference, in prose order.
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readPhpApi } from './php-source.mjs';
+
+/**
+ * @param {{ source?: string, prose?: string, output?: string }} [options]
+ *   directories relative to the Astro project root
+ * @returns {import('astro').AstroIntegration}
+ */
+export default function phpApiReference({
+	source = '../src',
+	prose = 'src/api-prose',
+	output = 'src/content/docs/api',
+} = {}) {
+	return {
+		name: 'php-api-reference',
+		hooks: {
+			'astro:config:setup': ({ config, addWatchFile, logger }) => {
+				const root = fileURLToPath(config.root);
+				const dirs = { source: resolve(root, source), prose: resolve(root, prose), output: resolve(root, output) };
+				const { pages, warnings } = generateReference(dirs);
+				for (const warning of warnings) logger.warn(warning);
+				logger.info(`${pages} API reference page(s) from ${relative(root, dirs.source)}/`);
+
+				for (const dir of [dirs.source, dirs.prose].filter(existsSync)) {
+					for (const file of readdirSync(dir)) addWatchFile(join(dir, file));
+				}
+			},
+		},
+	};
+}
+
+/** `PlainDateTime` → `plain-date-time` */
+export function slugOf(className) {
+	return className.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Write the reference pages; pages of classes that no longer exist are removed.
+ *
+ * @param {{ source: string, prose: string, output: string }} dirs
+ * @returns {{ pages: number, warnings: string[] }}
+ */
+export function generateReference(dirs) {
+	const warnings = [];
+	const written = new Set();
+	mkdirSync(dirs.output, { recursive: true });
+
+	for (const api of readPhpApi(dirs.source)) {
+		const slug = slugOf(api.name);
+		const prosePath = join(dirs.prose, `${slug}.md`);
+		const prose = existsSync(prosePath) ? parseProse(readFileSync(prosePath, 'utf8')) : null;
+		const page = renderPage(api, prose, slug, warnings);
+		const path = join(dirs.output, `${slug}.md`);
+		// Unchanged pages are left alone so the dev server does not reload them
+		if (!existsSync(path) || readFileSync(path, 'utf8') !== page) writeFileSync(path, page);
+		written.add(`${slug}.md`);
+	}
+
+	for (const file of readdirSync(dirs.output)) {
+		if (!written.has(file)) rmSync(join(dirs.output, file));
+	}
+	if (existsSync(dirs.prose)) {
+		for (const file of readdirSync(dirs.prose).filter((f) => f.endsWith('.md') && !written.has(f))) {
+			warnings.push(`${file} in the API prose has no class in the PHP source`);
+		}
+	}
+	return { pages: written.size, warnings };
+}
+
+// ── Prose ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {{ heading: string, method: string | null, lines: string[] }} Subsection
+ * @typedef {{ heading: string, lines: string[], subsections: Subsection[] }} Section
+ * @typedef {{ frontmatter: string[], intro: string[], sections: Section[] }} Prose
+ */
+
+/** @returns {Prose} */
+function parseProse(text) {
+	const lines = text.replace(/\r\n/g, '\n').split('\n');
+	const frontmatter = [];
+	if (lines[0] === '---') {
+		const end = lines.indexOf('---', 1);
+		frontmatter.push(...lines.slice(1, end));
+		lines.splice(0, end + 1);
+	}
+
+	const prose = { frontmatter, intro: [], sections: [] };
+	let target = prose.intro;
+	let fence = null;
+	for (const line of lines) {
+		const marker = line.match(/^\s*(```+|~~~+)/)?.[1];
+		if (marker && (fence === null || marker.startsWith(fence))) fence = fence === null ? marker : null;
+		const heading = fence === null && !marker ? line.match(/^(##|###)\s+(.*?)\s*$/) : null;
+		if (heading?.[1] === '##') {
+			const section = { heading: heading[2], lines: [], subsections: [] };
+			prose.sections.push(section);
+			target = section.lines;
+		} else if (heading?.[1] === '###' && prose.sections.length > 0) {
+			const method = heading[2].match(/^`?(?:[\w\\]+(?:::|->))?(\w+)\(\)`?$/)?.[1] ?? null;
+			const subsection = { heading: heading[2], method, lines: [] };
+			prose.sections.at(-1).subsections.push(subsection);
+			target = subsection.lines;
+		} else {
+			target.push(line);
+		}
+	}
+	return prose;
+}
+
+/**
+ * Split the rows of a `| \`$name\` | type | description |` table off a
+ * Properties section: property name → description, and the remaining lines.
+ */
+function takePropertyTable(lines) {
+	const descriptions = new Map();
+	const rest = [];
+	for (const line of lines) {
+		if (!line.startsWith('|')) {
+			rest.push(line);
+			continue;
+		}
+		const cells = line.split(/(?<!\\)\|/).slice(1, -1).map((c) => c.trim());
+		const name = cells[0]?.match(/^`\$(\w+)`$/)?.[1];
+		if (name && cells.length >= 3) descriptions.set(name, cells.at(-1));
+	}
+	return { descriptions, rest };
+}
+
+function block(lines) {
+	const text = lines.join('\n').trim();
+	return text === '' ? [] : [text];
+}
+
+// ── Pages ───────────────────────────────────────────────────────────────────
+
+const SECTIONS = ['Constructor', 'Constants', 'Properties', 'Static methods', 'Methods'];
+
+/**
+ * @param {import('./php-source.mjs').ClassDoc} api
+ * @param {Prose | null} prose
+ */
+function renderPage(api, prose, slug, warnings) {
+	const methodProse = new Map();
+	const sectionProse = new Map();
+	const extraSections = [];
+	const propertyDescriptions = new Map();
+	for (const section of prose?.sections ?? []) {
+		const generated = SECTIONS.find((name) => name.toLowerCase() === section.heading.toLowerCase());
+		if (generated === 'Properties') {
+			for (const part of [section, ...section.subsections.filter((s) => s.method === null)]) {
+				const { descriptions, rest } = takePropertyTable(part.lines);
+				descriptions.forEach((description, name) => propertyDescriptions.set(name, description));
+				part.lines = rest;
+			}
+		}
+		const rest = [];
+		for (const subsection of section.subsections) {
+			const known = subsection.method !== null && api.methods.some((m) => m.name === subsection.method);
+			if (known) {
+				methodProse.set(subsection.method, [...(methodProse.get(subsection.method) ?? []), ...block(subsection.lines)]);
+				continue;
+			}
+			if (subsection.method !== null) {
+				warnings.push(`api-prose/${slug}.md documents ${subsection.method}(), which ${api.name} does not have`);
+			}
+			if (block(subsection.lines).length > 0) rest.push(`### ${subsection.heading}`, ...block(subsection.lines));
+		}
+		if (generated) {
+			sectionProse.set(generated, [...block(section.lines), ...rest]);
+		} else if (block(section.lines).length > 0 || rest.length > 0) {
+			extraSections.push(`## ${section.heading}`, ...block(section.lines), ...rest);
+		}
+	}
+
+	const constructor = api.methods.find((m) => m.name === '__construct');
+	const methods = api.methods.filter((m) => m !== constructor);
+	const sections = {
+		Constructor: constructor ? renderMethod(constructor, methodProse, false) : [],
+		Constants: renderConstants(api.constants),
+		Properties: renderProperties(
+			api.properties.map((p) => ({ ...p, description: p.description || (propertyDescriptions.get(p.name) ?? '') })),
+		),
+		'Static methods': methods.filter((m) => m.static).flatMap((m) => renderMethod(m, methodProse, true)),
+		Methods: methods.filter((m) => !m.static).flatMap((m) => renderMethod(m, methodProse, true)),
+	};
+
+	const intro = block(prose?.intro ?? []);
+	const parts = [
+		`<!-- Generated from src/${api.file}. Edit its docblocks, or the prose in docs/src/api-prose/${slug}.md. -->`,
+		...(intro.length > 0 ? intro : [api.doc.summary, api.doc.body].filter(Boolean)),
+		fence(`${api.declaration}`),
+	];
+	for (const name of SECTIONS) {
+		const content = [...sections[name], ...(sectionProse.get(name) ?? [])];
+		if (content.length > 0) parts.push(`## ${name}`, ...content);
+	}
+	parts.push(...extraSections);
+
+	return `${renderFrontmatter(api, prose)}\n\n${parts.join('\n\n')}\n`;
+}
+
+function renderFrontmatter(api, prose) {
+	const lines = [...(prose?.frontmatter ?? [])];
+	const has = (key) => lines.some((line) => line.startsWith(`${key}:`));
+	if (!has('description') && api.doc.summary) lines.unshift(`description: ${JSON.stringify(api.doc.summary)}`);
+	if (!has('title')) lines.unshift(`title: ${JSON.stringify(api.name)}`);
+	return ['---', ...lines, '---'].join('\n');
+}
+
+/** @param {import('./php-source.mjs').MethodDoc} method */
+function renderMethod(method, methodProse, withHeading) {
+	const parts = withHeading ? [`### \`${method.name}()\``] : [];
+	parts.push(fence(method.signature), ...[method.doc.summary, method.doc.body].filter(Boolean));
+	if (method.throws.length > 0) {
+		const items = method.throws.map((t) => `- \`${t.type}\`${t.description ? ` ${t.description}` : ''}`);
+		parts.push(`**Throws**\n\n${items.join('\n')}`);
+	}
+	parts.push(...(methodProse.get(method.name) ?? []));
+	return parts;
+}
+
+/** @param {import('./php-source.mjs').ConstantDoc[]} constants */
+function renderConstants(constants) {
+	if (constants.length === 0) return [];
+	const rows = constants.map((c) => `| \`${c.name}\` | \`${cell(c.value)}\` | ${cell(c.doc.summary)} |`);
+	return [['| Constant | Value | Description |', '|----------|-------|-------------|', ...rows].join('\n')];
+}
+
+/** @param {import('./php-source.mjs').PropertyDoc[]} properties */
+function renderProperties(properties) {
+	if (properties.length === 0) return [];
+	const rows = properties.map((p) => `| \`$${p.name}\` | \`${cell(p.type)}\` | ${cell(p.description)} |`);
+	const table = ['| Property | Type | Description |', '|----------|------|-------------|', ...rows].join('\n');
+	return properties.every((p) => p.readonly) ? ['All properties are read-only.', table] : [table];
+}
+
+function cell(text) {
+	return text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function fence(code) {
+	return `\`\`\`php\n${code}\n\`\`\``;
+}
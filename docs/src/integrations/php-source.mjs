@@ -0,0 +1,267 @@
+/**
+ * Reads the public API of the library out of `src/*.php`.
+ *
+ * Every file is parsed with php-parser; the top-level class or interface in it
+ * becomes a plain object describing what a reader of the API reference needs:
+ * the declaration, docblocks, public constants, properties (declared ones and
+ * `@property-read` tags) and public methods with their signatures as written
+ * in the source and the exceptions they document or throw directly.
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { Engine } from 'php-parser';
+
+const engine = new Engine({
+	parser: { php8: true, version: '8.4', extractDoc: true },
+	ast: { withPositions: true },
+});
+
+// Magic methods that are not called by name, so have no place in the reference
+const HIDDEN_METHODS = new Set(['__get', '__set', '__isset', '__unset', '__clone', '__serialize', '__unserialize']);
+
+/**
+ * @typedef {{ summary: string, body: string, tags: { name: string, value: string }[] }} DocBlock
+ * @typedef {{ type: string, description: string }} Thrown
+ * @typedef {{ name: string, static: boolean, signature: string, doc: DocBlock, throws: Thrown[] }} MethodDoc
+ * @typedef {{ name: string, type: string, description: string, readonly: boolean }} PropertyDoc
+ * @typedef {{ name: string, value: string, doc: DocBlock }} ConstantDoc
+ * @typedef {{
+ *   name: string, fqn: string, kind: string, declaration: string, interfaces: string[], file: string, doc: DocBlock,
+ *   constants: ConstantDoc[], properties: PropertyDoc[], methods: MethodDoc[],
+ * }} ClassDoc
+ */
+
+/**
+ * Parse every `*.php` file directly under `dir`, sorted by class name.
+ *
+ * @param {string} dir
+ * @returns {ClassDoc[]}
+ */
+export function readPhpApi(dir) {
+	const classes = readdirSync(dir)
+		.filter((file) => file.endsWith('.php'))
+		.sort()
+		.map((file) => readPhpFile(join(dir, file), file))
+		.filter((doc) => doc !== null);
+
+	// Implementations without a docblock of their own show the interface's
+	const byName = new Map(classes.map((api) => [api.name, api]));
+	for (const api of classes) {
+		for (const parent of api.interfaces.map((name) => byName.get(name)).filter(Boolean)) {
+			for (const method of api.methods.filter((m) => m.doc.summary === '')) {
+				const inherited = parent.methods.find((m) => m.name === method.name);
+				if (inherited) method.doc = inherited.doc;
+			}
+		}
+	}
+	return classes;
+}
+
+/**
+ * @param {string} path
+ * @param {string} file name shown in error messages and kept on the result
+ * @returns {ClassDoc | null}
+ */
+function readPhpFile(path, file) {
+	const source = readFileSync(path, 'utf8');
+	const program = engine.parseCode(source, file);
+	const namespace = program.children.find((node) => node.kind === 'namespace');
+	const statements = namespace ? namespace.children : program.children;
+	const node = statements.find((child) => ['class', 'interface', 'trait', 'enum'].includes(child.kind));
+	if (!node) return null;
+
+	const name = node.name.name;
+	const imports = importsOf(statements);
+	const slice = (/** @type {any} */ n) => source.slice(n.loc.start.offset, n.loc.end.offset);
+	const typeOf = (/** @type {any} */ n) => (n ? tidyType(slice(n), name) : '');
+	const constants = [];
+	const properties = [];
+	const methods = [];
+
+	for (const member of node.body) {
+		const isPublic = member.visibility === 'public' || member.visibility === '' || member.visibility == null;
+		if (member.kind === 'classconstant' && isPublic) {
+			for (const constant of member.constants) {
+				constants.push({ name: constant.name.name, value: slice(constant.value), doc: docOf(member) });
+			}
+		} else if (member.kind === 'propertystatement' && isPublic) {
+			const doc = docOf(member);
+			for (const property of member.properties) {
+				properties.push({
+					name: property.name.name,
+					type: (property.nullable ? '?' : '') + typeOf(property.type),
+					description: doc.summary,
+					readonly: Boolean(property.readonly || member.isReadonly || node.isReadonly),
+				});
+			}
+		} else if (member.kind === 'method' && isPublic && !HIDDEN_METHODS.has(member.name.name)) {
+			const doc = docOf(member);
+			const end = member.body ? member.body.loc.start.offset : member.loc.end.offset;
+			methods.push({
+				name: member.name.name,
+				static: Boolean(member.isStatic),
+				signature: tidySignature(source.slice(member.loc.start.offset, end), name),
+				doc,
+				throws: throwsOf(member, doc, imports),
+			});
+			if (member.name.name === '__construct') properties.push(...promotedProperties(member, typeOf));
+		}
+	}
+
+	const doc = docOf(node);
+	for (const tag of doc.tags.filter((t) => t.name === 'property-read' || t.name === 'property')) {
+		const match = tag.value.match(/^(\S+)\s+\$(\w+)\s*(.*)$/s);
+		if (match) {
+			properties.push({ name: match[2], type: match[1], description: match[3], readonly: tag.name === 'property-read' });
+		}
+	}
+
+	return {
+		name,
+		fqn: namespace ? `${namespace.name}\\${name}` : name,
+		kind: node.kind,
+		declaration: declarationOf(node, name),
+		interfaces: (node.implements ?? []).map((n) => n.name.replace(/^\\/, '')),
+		file,
+		doc,
+		constants,
+		properties,
+		methods,
+	};
+}
+
+// ── Docblocks ───────────────────────────────────────────────────────────────
+
+/**
+ * The `/** … *\/` block right before a node, split into summary (first
+ * paragraph), the rest of the text and `@tags`. Line comments such as the
+ * `// ---` section banners are ignored. When the node has attributes
+ * (`#[\NoDiscard]`) the parser hangs the block on the first of them.
+ *
+ * @returns {DocBlock}
+ */
+function docOf(/** @type {any} */ node) {
+	const comments = node.attrGroups?.[0]?.leadingComments ?? node.leadingComments ?? [];
+	const block = comments.filter((c) => c.kind === 'commentblock' && c.value.startsWith('/**')).at(-1);
+	if (!block) return { summary: '', body: '', tags: [] };
+
+	const lines = block.value
+		.replace(/^\/\*\*/, '')
+		.replace(/\*\/$/, '')
+		.split('\n')
+		.map((line) => line.replace(/^\s*\* ?/, '').trimEnd());
+
+	const text = [];
+	const tags = [];
+	for (const line of lines) {
+		const tag = line.match(/^@([\w-]+)\s*(.*)$/);
+		if (tag) tags.push({ name: tag[1], value: tag[2] });
+		else if (tags.length > 0 && line.trim() !== '') tags[tags.length - 1].value += ` ${line.trim()}`;
+		else if (tags.length === 0) text.push(line);
+	}
+
+	const paragraphs = text.join('\n').trim().split(/\n\s*\n/);
+	return {
+		summary: paragraphs[0].replace(/\s*\n\s*/g, ' ').trim(),
+		body: paragraphs.slice(1).join('\n\n').trim(),
+		tags,
+	};
+}
+
+// ── Signatures ──────────────────────────────────────────────────────────────
+
+/** Collapse a multi-line signature onto one line and name `self` by its class. */
+function tidySignature(text, className) {
+	return tidyType(
+		text
+			.replace(/#\[[^\]]*\]\s*/g, '')
+			.replace(/\s+/g, ' ')
+			.replace(/\(\s+/g, '(')
+			.replace(/,?\s+\)/g, ')')
+			.replace(/[;{]\s*$/, '')
+			.trim(),
+		className,
+	);
+}
+
+function tidyType(text, className) {
+	return text.replace(/(?<![$\w\\])self\b/g, className);
+}
+
+function declarationOf(/** @type {any} */ node, name) {
+	const modifiers = [node.isAbstract && 'abstract', node.isFinal && 'final', node.isReadonly && 'readonly'];
+	const parts = [...modifiers.filter(Boolean), node.kind, name];
+	const parents = [node.extends].flat().filter(Boolean).map((n) => n.name);
+	if (parents.length > 0) parts.push('extends', parents.join(', '));
+	if (node.implements?.length > 0) parts.push('implements', node.implements.map((n) => n.name).join(', '));
+	return parts.join(' ');
+}
+
+// Constructor parameters declared `public` become properties
+function promotedProperties(/** @type {any} */ method, typeOf) {
+	return method.arguments
+		.filter((param) => param.flags === 1)
+		.map((param) => ({
+			name: param.name.name,
+			type: (param.nullable ? '?' : '') + typeOf(param.type),
+			description: '',
+			readonly: Boolean(param.readonly),
+		}));
+}
+
+// ── Exceptions ──────────────────────────────────────────────────────────────
+
+// Short name → fully qualified name for the `use` imports of a file
+function importsOf(statements) {
+	const imports = new Map();
+	for (const group of statements.filter((s) => s.kind === 'usegroup')) {
+		for (const item of group.items) {
+			imports.set(item.alias?.name ?? item.name.split('\\').at(-1), item.name);
+		}
+	}
+	return imports;
+}
+
+/**
+ * `@throws` tags with their descriptions, followed by any exception the
+ * method body throws itself (`throw new X(…)`) that the tags do not name.
+ *
+ * @returns {Thrown[]}
+ */
+function throwsOf(/** @type {any} */ method, doc, imports) {
+	const shortName = (name) => name.replace(/^\\/, '').split('\\').at(-1);
+	const thrown = doc.tags
+		.filter((tag) => tag.name === 'throws')
+		.map((tag) => {
+			const [, type, description] = tag.value.match(/^(\S+)\s*(.*)$/s) ?? [null, tag.value, ''];
+			return { type: shortName(type), description: description.trim() };
+		});
+
+	const seen = new Set(thrown.map((t) => t.type));
+	walk(method.body, (node) => {
+		if (node.kind !== 'throw') return;
+		// `throw new X(…)` or a named constructor, `throw X::missingKey(…)`
+		const { what } = node;
+		const target = what?.kind === 'new' ? what.what : what?.kind === 'call' ? what.what?.what : null;
+		if (target?.kind !== 'name') return;
+		const type = shortName(imports.get(target.name) ?? target.name);
+		if (!seen.has(type)) {
+			seen.add(type);
+			thrown.push({ type, description: '' });
+		}
+	});
+	return thrown;
+}
+
+function walk(node, visit) {
+	if (node === null || typeof node !== 'object') return;
+	if (Array.isArray(node)) {
+		for (const child of node) walk(child, visit);
+		return;
+	}
+	if (typeof node.kind === 'string') visit(node);
+	for (const [key, value] of Object.entries(node)) {
+		if (key !== 'loc' && key !== 'leadingComments') walk(value, visit);
+	}
+}
@@ -0,0 +1,212 @@
+/**
+ * Astro integration that writes the test262 conformance page.
+ *
+ * On every `astro dev` / `astro build` it reads the fixtures the PHP suite
+ * replays (`tests/fixtures/*.json`, written by tools/extract-test262.mjs) and,
+ * when present, the extraction coverage summary (`tests/test262-coverage.json`,
+ * written by `composer test262:report`), and renders `src/content/docs/conformance.md`,
+ * which is not committed. Per Temporal type and method it lists the test262
+ * files whose assertions are checked against PHP, their assertion counts, the
+ * quarantined assertions and the files skipped with the reason, each linked to
+ * the file at the test262 commit it was extracted from, or left unlinked when
+ * that commit is unknown. Only the coverage summary knows about skipped files;
+ * without it the page says so instead of leaving them out silently.
+ */
+
+import { existsSync, readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const TEST262_REPO = 'https://github.com/tc39/test262';
+
+/**
+ * @param {{ fixtures?: string, coverage?: string, output?: string }} [options]
+ *   paths relative to the Astro project root
+ * @returns {import('astro').AstroIntegration}
+ */
+export default function test262Conformance({
+	fixtures = '../tests/fixtures',
+	coverage = '../tests/test262-coverage.json',
+	output = 'src/content/docs/conformance.md',
+} = {}) {
+	return {
+		name: 'test262-conformance',
+		hooks: {
+			'astro:config:setup': ({ config, addWatchFile, logger }) => {
+				const root = fileURLToPath(config.root);
+				const paths = { fixtures: resolve(root, fixtures), coverage: resolve(root, coverage) };
+				const data = readConformance(paths);
+				const page = renderPage(data);
+				const path = resolve(root, output);
+				if (!existsSync(path) || readFileSync(path, 'utf8') !== page) writeFileSync(path, page);
+
+				if (!data.report) logger.info(`${relative(root, paths.coverage)} not found; skipped files are not listed`);
+				logger.info(`conformance page from ${data.fixtures.length} fixture(s)`);
+				addWatchFile(paths.coverage);
+				for (const file of data.fixtureFiles) addWatchFile(join(paths.fixtures, file));
+			},
+		},
+	};
+}
+
+// ── Data ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {{ file: string, assertions: number, ref: string | null }} CoveredFile
+ * @typedef {{ file: string, reason: string, ref: string | null }} ListedFile
+ * @typedef {{
+ *   type: string, method: string, covered: CoveredFile[], quarantined: ListedFile[],
+ *   skipped: ListedFile[] | null, files: number | null,
+ * }} Target
+ */
+
+function readConformance(paths) {
+	const fixtureFiles = existsSync(paths.fixtures)
+		? readdirSync(paths.fixtures).filter((f) => f.endsWith('.json')).sort()
+		: [];
+	const fixtures = fixtureFiles.map((file) => JSON.parse(readFileSync(join(paths.fixtures, file), 'utf8')));
+	const report = existsSync(paths.coverage) ? JSON.parse(readFileSync(paths.coverage, 'utf8')) : null;
+
+	/** @type {Map<string, Target>} */
+	const targets = new Map();
+	const target = (type, method) => {
+		const key = `${type}.${method}`;
+		if (!targets.has(key)) targets.set(key, { type, method, covered: [], quarantined: [], skipped: null, files: null });
+		return targets.get(key);
+	};
+
+	// Built-ins and intl402 fixtures of one method share a target
+	for (const fixture of fixtures) {
+		const entry = target(fixture.type, fixture.method);
+		const ref = fixture.test262 ?? null;
+		for (const c of fixture.cases) entry.covered.push({ file: c.file, assertions: c.assertions.length, ref });
+		for (const q of fixture.quarantined ?? []) entry.quarantined.push({ file: q.file, reason: q.reason, ref });
+	}
+	for (const summary of report?.targets ?? []) {
+		const entry = target(summary.type, summary.method);
+		const ref = report.test262 ?? null;
+		entry.files = summary.files;
+		entry.skipped = summary.skippedFiles.map((s) => ({ file: s.file, reason: s.reason, ref }));
+	}
+
+	const commits = [...new Set(fixtures.map((f) => f.test262).filter(Boolean))].sort();
+	const polyfills = [...new Set(fixtures.map((f) => f.polyfill).filter(Boolean))].sort();
+	const byKey = (a, b) => a.type.localeCompare(b.type) || methodOrder(a.method) - methodOrder(b.method) || a.method.localeCompare(b.method);
+	return { fixtureFiles, fixtures, report, commits, polyfills, targets: [...targets.values()].sort(byKey) };
+}
+
+// The constructor comes first, as on the API reference pages
+function methodOrder(method) {
+	return method === 'constructor' ? 0 : 1;
+}
+
+// ── Page ────────────────────────────────────────────────────────────────────
+
+function renderPage(data) {
+	const lines = [
+		'---',
+		'title: test262 Conformance',
+		'description: Which TC39 test262 tests for Temporal the PHP port is checked against, per type and method.',
+		'---',
+		'',
+		'<!-- Generated on every docs build by src/integrations/test262-conformance.mjs from tests/fixtures/*.json and tests/test262-coverage.json. -->',
+		'',
+		`[test262](${TEST262_REPO}) is the official conformance suite for JavaScript, including the Temporal proposal. ` +
+			'Its Temporal tests are run against the reference polyfill and every assertion that can be expressed in PHP ' +
+			'is extracted into a fixture, which the PHPUnit suite replays against this library. ' +
+			'A file is *covered* when its assertions are replayed, *skipped* when it tests JavaScript-only behaviour ' +
+			'(property descriptors, observable property reads, …) or needs something the port does not have, and an ' +
+			'assertion is *quarantined* when the polyfill\'s own result disagrees with what the test expects.',
+		'',
+		provenance(data),
+		'',
+	];
+
+	const types = [...new Set(data.targets.map((t) => t.type))];
+	const total = summarize(data.targets);
+	lines.push(
+		'## Summary',
+		'',
+		'| Type | Methods | Files covered | Assertions | Quarantined | Skipped files | Coverage |',
+		'|------|--------:|--------------:|-----------:|------------:|--------------:|---------:|',
+		...types.map((type) => summaryRow(type, summarize(data.targets.filter((t) => t.type === type)))),
+		summaryRow('**Total**', total),
+		'',
+	);
+
+	if (data.report) {
+		lines.push('## Skip reasons', '', '| Reason | Files |', '|--------|------:|');
+		for (const [reason, count] of Object.entries(data.report.totals.skipReasons)) lines.push(`| \`${reason}\` | ${count} |`);
+		lines.push('');
+	}
+
+	for (const type of types) {
+		lines.push(`## ${type}`, '');
+		for (const target of data.targets.filter((t) => t.type === type)) lines.push(...renderTarget(target));
+	}
+	return lines.join('\n');
+}
+
+function provenance(data) {
+	const commits = data.commits.map((c) => `[\`${c.slice(0, 12)}\`](${TEST262_REPO}/tree/${c})`);
+	const parts = [
+		commits.length > 0 ? `test262 ${commits.join(', ')}` : 'test262 (commit not recorded in the fixtures, so their files are not linked)',
+		data.polyfills.length > 0 ? `@js-temporal/polyfill ${data.polyfills.join(', ')}` : null,
+	];
+	const sources = parts.filter(Boolean).join(', ');
+	return data.report
+		? `Fixtures from ${sources}; skipped files from the coverage summary of test262 ${data.report.test262 ? `\`${data.report.test262.slice(0, 12)}\`` : '(unknown commit)'}.`
+		: `Fixtures from ${sources}. No coverage summary was found (run \`composer test262:report\` to write \`tests/test262-coverage.json\`), so skipped files are not listed.`;
+}
+
+function summarize(targets) {
+	const sum = (pick) => targets.reduce((n, t) => n + pick(t), 0);
+	const known = targets.every((t) => t.skipped !== null);
+	return {
+		methods: targets.length,
+		covered: sum((t) => t.covered.length),
+		assertions: sum((t) => t.covered.reduce((n, c) => n + c.assertions, 0)),
+		quarantined: sum((t) => t.quarantined.length),
+		skipped: known ? sum((t) => t.skipped.length) : null,
+		files: known ? sum((t) => t.files) : null,
+	};
+}
+
+function summaryRow(label, s) {
+	const skipped = s.skipped ?? '–';
+	const coverage = s.files ? `${Math.round((s.covered / s.files) * 100)}%` : '–';
+	return `| ${label} | ${s.methods} | ${s.covered} | ${s.assertions} | ${s.quarantined} | ${skipped} | ${coverage} |`;
+}
+
+/** @param {Target} target */
+function renderTarget(target) {
+	const assertions = target.covered.reduce((n, c) => n + c.assertions, 0);
+	const facts = [`${target.covered.length} file(s) covered`, `${assertions} assertion(s)`];
+	if (target.quarantined.length > 0) facts.push(`${target.quarantined.length} quarantined`);
+	if (target.skipped !== null) facts.push(`${target.skipped.length} of ${target.files} file(s) skipped`);
+
+	const lines = [`### \`${target.method === 'constructor' ? 'new' : `${target.method}()`}\``, '', `${facts.join(', ')}.`, ''];
+	lines.push(...details(`Covered files (${target.covered.length})`, target.covered, (c) => `${c.assertions} assertion(s)`));
+	lines.push(...details(`Quarantined assertions (${target.quarantined.length})`, target.quarantined, (q) => q.reason));
+	lines.push(...details(`Skipped files (${target.skipped?.length ?? 0})`, target.skipped ?? [], (s) => `\`${s.reason}\``));
+	return lines;
+}
+
+function details(summary, entries, note) {
+	if (entries.length === 0) return [];
+	return [
+		`<details><summary>${summary}</summary>`,
+		'',
+		...entries.map((e) => `- ${fileLink(e)} — ${note(e)}`),
+		'',
+		'</details>',
+		'',
+	];
+}
+
+// A branch link would point at whatever the file has become since, so files
+// are only linked at a known commit
+function fileLink({ file, ref }) {
+	const name = file.replace(/^test\//, '');
+	return ref ? `[${name}](${TEST262_REPO}/blob/${ref}/${file})` : `\`${name}\``;
+}
@@ -37,7 +37,7 @@ final class Calendar
      * Accepted identifiers (case-insensitive):
      *   "iso8601", "gregory", "buddhist", "roc", "japanese".
      *
-     * @throws \InvalidArgumentException for unsupported calendar systems.
+     * @throws UnsupportedCalendarException for unrecognised identifiers.
      */
     public static function from(string|self $item): self
     {
@@ -188,7 +188,7 @@ final class Calendar
      *
      * @param  list<string> $fields
      * @return list<string>
-     * @throws \InvalidArgumentException for unknown field names.
+     * @throws InvalidOptionException for unknown field names.
      */
     public function fields(array $fields): array
     {
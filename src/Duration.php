@@ -236,8 +236,11 @@ final class Duration implements \JsonSerializable
      * additionally year(s) and month(s) with a PlainDate relativeTo.
      *
      * @param string|array{unit?:string,relativeTo?:PlainDate|array{year:int,month:int,day:int}|string} $unitOrOptions
-     * @throws InvalidArgumentException
-     * @throws \RangeException
+     * @throws MissingFieldException if no unit is given, or if relativeTo is missing for year(s) or month(s).
+     * @throws InvalidOptionException if the unit is unknown.
+     * @throws MissingFieldException if a relativeTo array is missing year, month or day.
+     * @throws InvalidTemporalStringException if relativeTo is not a valid date string.
+     * @throws DateRangeException if relativeTo is out of range.
      */
     public function total(string|array $unitOrOptions): float
     {
@@ -287,8 +290,8 @@ final class Duration implements \JsonSerializable
     /**
      * Compute the total relative to a reference PlainDate, supporting calendar units.
      *
-     * @throws InvalidArgumentException
-     * @throws \RangeException
+     * @throws InvalidOptionException
+     * @throws DateRangeException
      */
     private function totalRelativeTo(string $unit, PlainDate $relativeTo): float
     {
@@ -326,8 +329,8 @@ final class Duration implements \JsonSerializable
      * Uses calendar-aware month lengths: 40 days from Feb 1, 2020 (leap year)
      * = 1 + 11/31 months because February has 29 days and March has 31.
      *
-     * @throws InvalidArgumentException
-     * @throws \RangeException
+     * @throws InvalidOptionException
+     * @throws DateRangeException
      */
     private function daysToFractionalMonths(float $totalDays, PlainDate $relativeTo): float
     {
@@ -367,8 +370,8 @@ final class Duration implements \JsonSerializable
     /**
      * Convert a floating-point day count to fractional years relative to a start date.
      *
-     * @throws InvalidArgumentException
-     * @throws \RangeException
+     * @throws InvalidOptionException
+     * @throws DateRangeException
      */
     private function daysToFractionalYears(float $totalDays, PlainDate $relativeTo): float
     {
@@ -436,8 +439,12 @@ final class Duration implements \JsonSerializable
      *                         smallestUnit is below 'month'
      *
      * @param string|array{smallestUnit?:string,largestUnit?:string,roundingMode?:string,roundingIncrement?:int,relativeTo?:PlainDate|array{year:int,month:int,day:int}|string} $smallestUnitOrOptions
-     * @throws InvalidArgumentException
-     * @throws \RangeException
+     * @throws MissingFieldException if smallestUnit is missing from the options.
+     * @throws InvalidOptionException if a unit, roundingMode or roundingIncrement is invalid.
+     * @throws MissingFieldException if a relativeTo array is missing year, month or day.
+     * @throws InvalidTemporalStringException if relativeTo is not a valid date string.
+     * @throws DateRangeException if the duration has years or months, smallestUnit is below a month and no
+     *   largestUnit is given, or if relativeTo is out of range.
      */
     #[\NoDiscard]
     public function round(string|array $smallestUnitOrOptions): self
@@ -514,7 +521,8 @@ final class Duration implements \JsonSerializable
      * starting from largestUnit.
      *
      * @param string|array<string, mixed> $largestUnitOrOptions
-     * @throws InvalidArgumentException
+     * @throws MissingFieldException if largestUnit is missing from the options.
+     * @throws InvalidOptionException if a unit is unknown.
      */
     #[\NoDiscard]
     public function balance(string|array $largestUnitOrOptions): self
@@ -559,8 +567,8 @@ final class Duration implements \JsonSerializable
      * from largestUnit down to smallestUnit with rounding applied to the
      * smallestUnit part.
      *
-     * @throws InvalidArgumentException
-     * @throws \RangeException
+     * @throws InvalidOptionException
+     * @throws DateRangeException
      */
     private function roundWithRelativeTo(
         string $smallestUnit,
@@ -625,7 +633,7 @@ final class Duration implements \JsonSerializable
      * Calendar fields (years, months) are preserved as-is.
      * Day and time fields are treated as fixed: 1 week = 7 days, 1 day = 24 h.
      *
-     * @throws InvalidArgumentException
+     * @throws InvalidOptionException
      */
     private function roundWithBalance(
         string $smallestUnit,
@@ -806,7 +814,13 @@ final class Duration implements \JsonSerializable
         }
 
         $hasTime = $hr || $min || $sec || $ms || $us || $ns;
-        $subSecNs = ( $ms * 1_000_000 ) + ( $us * 1_000 ) + $ns;
+
+        // Sub-second units may exceed one second (PT450305.005S as 450305005 ms);
+        // carry whole seconds per unit first so the nanosecond sum cannot overflow.
+        $sec += intdiv($ms, 1_000) + intdiv($us, 1_000_000) + intdiv($ns, 1_000_000_000);
+        $subSecNs = ( ( $ms % 1_000 ) * 1_000_000 ) + ( ( $us % 1_000_000 ) * 1_000 ) + ( $ns % 1_000_000_000 );
+        $sec += intdiv($subSecNs, 1_000_000_000);
+        $subSecNs %= 1_000_000_000;
 
         if ($hasTime) {
             $result .= 'T';
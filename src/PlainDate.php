@@ -8,6 +8,8 @@ use Temporal\Exception\DateRangeException;
 use Temporal\Exception\InvalidOptionException;
 use Temporal\Exception\InvalidTemporalStringException;
 use Temporal\Exception\MissingFieldException;
+use Temporal\Exception\UnknownTimeZoneException;
+use Temporal\Exception\UnsupportedCalendarException;
 
 /**
  * Represents a calendar date (year, month, day) with no time or time zone.
@@ -46,8 +48,8 @@ final class PlainDate implements \JsonSerializable
     private readonly CalendarProtocol $calendar;
 
     /**
-     * @throws \InvalidArgumentException if month or day are invalid.
-     * @throws \RangeException if the date is outside the supported range.
+     * @throws DateRangeException if the month or day are out of range, or if the date is outside the supported
+     *   epoch day range.
      */
     public function __construct(int $year, int $month, int $day, ?CalendarProtocol $calendar = null)
     {
@@ -69,8 +71,9 @@ final class PlainDate implements \JsonSerializable
      * Create a PlainDate from a string, array, or another PlainDate.
      *
      * @param string|array<string, mixed>|PlainDate $item
-     * @throws \InvalidArgumentException if the value is invalid.
-     * @throws \RangeException if the date is outside the supported range.
+     * @throws MissingFieldException if an array is missing year, month or day.
+     * @throws InvalidTemporalStringException if a string is not a valid date.
+     * @throws DateRangeException if the date is out of range.
      */
     public static function from(string|array|self $item): self
     {
@@ -100,8 +103,8 @@ final class PlainDate implements \JsonSerializable
      * Annotations (e.g. [u-ca=iso8601]) and time/offset/timezone parts are
      * silently ignored — only the date part is extracted.
      *
-     * @throws \InvalidArgumentException
-     * @throws \RangeException
+     * @throws InvalidTemporalStringException
+     * @throws DateRangeException
      */
     private static function fromString(string $str): self
     {
@@ -121,7 +124,7 @@ final class PlainDate implements \JsonSerializable
     /**
      * Create a PlainDate from a count of days since the Unix epoch (1970-01-01).
      *
-     * @throws \RangeException if $epochDays is outside the supported range.
+     * @throws DateRangeException if $epochDays is outside the supported range.
      */
     public static function fromEpochDays(int $epochDays): self
     {
@@ -150,8 +153,7 @@ final class PlainDate implements \JsonSerializable
     // -------------------------------------------------------------------------
 
     /**
-     * @throws \InvalidArgumentException
-     * @throws \RangeException
+     * @throws DateRangeException
      */
     public function __get(string $name): mixed
     {
@@ -213,7 +215,8 @@ final class PlainDate implements \JsonSerializable
      * proposal.
      *
      * @param TimeZone|string|array<string, mixed> $options
-     * @throws \InvalidArgumentException if options are invalid.
+     * @throws MissingFieldException if an options array has no timeZone.
+     * @throws UnknownTimeZoneException if the time zone identifier is not recognised.
      */
     #[\NoDiscard]
     public function toZonedDateTime(TimeZone|string|array $options): ZonedDateTime
@@ -338,8 +341,8 @@ final class PlainDate implements \JsonSerializable
      *
      * Corresponds to Temporal.PlainDate.prototype.withCalendar() in the TC39 proposal.
      *
-     * @throws \InvalidArgumentException if the calendar identifier is unknown.
-     * @throws \RangeException if the resulting date is outside the supported range.
+     * @throws UnsupportedCalendarException if the calendar identifier is unknown.
+     * @throws DateRangeException if the resulting date is outside the supported range.
      */
     #[\NoDiscard]
     public function withCalendar(CalendarProtocol|Calendar|string $calendar): self
@@ -359,8 +362,7 @@ final class PlainDate implements \JsonSerializable
      * Return a new PlainDate with specified fields overridden.
      *
      * @param array{year?:int,month?:int,day?:int} $fields
-     * @throws \InvalidArgumentException
-     * @throws \RangeException
+     * @throws DateRangeException if the resulting date is out of range.
      */
     #[\NoDiscard]
     public function with(array $fields): self
@@ -378,8 +380,9 @@ final class PlainDate implements \JsonSerializable
      *
      * @param array<string, mixed> $duration
      * @param string $overflow 'constrain' (default) or 'reject'
-     * @throws \InvalidArgumentException if overflow is invalid or day overflows with 'reject'.
-     * @throws \RangeException if the resulting date is outside the supported range.
+     * @throws InvalidOptionException if overflow is invalid.
+     * @throws DateRangeException if the day overflows with 'reject', or the resulting date is outside the supported
+     *   range.
      */
     #[\NoDiscard]
     public function add(array $duration, string $overflow = 'constrain'): self
@@ -396,8 +399,9 @@ final class PlainDate implements \JsonSerializable
      *
      * @param array{years?:int,months?:int,weeks?:int,days?:int} $duration
      * @param string $overflow 'constrain' (default) or 'reject'
-     * @throws \InvalidArgumentException if overflow is invalid or day overflows with 'reject'.
-     * @throws \RangeException if the resulting date is outside the supported range.
+     * @throws InvalidOptionException if overflow is invalid.
+     * @throws DateRangeException if the day overflows with 'reject', or the resulting date is outside the supported
+     *   range.
      */
     #[\NoDiscard]
     public function subtract(array $duration, string $overflow = 'constrain'): self
@@ -420,7 +424,7 @@ final class PlainDate implements \JsonSerializable
      *   - 'year'            — returns years + months + days
      *
      * @param string|array{largestUnit?:string} $options
-     * @throws \InvalidArgumentException if largestUnit is invalid.
+     * @throws InvalidOptionException if largestUnit is invalid.
      */
     public function until(self $other, string|array $options = []): Duration
     {
@@ -432,7 +436,7 @@ final class PlainDate implements \JsonSerializable
      * Compute the Duration since the given date (i.e. other until this).
      *
      * @param string|array{largestUnit?:string} $options
-     * @throws \InvalidArgumentException if largestUnit is invalid.
+     * @throws InvalidOptionException if largestUnit is invalid.
      */
     public function since(self $other, string|array $options = []): Duration
     {
@@ -503,7 +507,7 @@ final class PlainDate implements \JsonSerializable
     // Private helpers
     // -------------------------------------------------------------------------
 
-    /** @throws \RangeException */
+    /** @throws DateRangeException */
     private static function validateEpochDays(int $epochDays): void
     {
         if ($epochDays < self::MIN_EPOCH_DAYS || $epochDays > self::MAX_EPOCH_DAYS) {
@@ -531,7 +535,7 @@ final class PlainDate implements \JsonSerializable
      * Parse a largestUnit value from a string|array options argument.
      *
      * @param string|array{largestUnit?:string} $options
-     * @throws \InvalidArgumentException
+     * @throws InvalidOptionException
      */
     private function parseLargestUnit(string|array $options, string $default): string
     {
@@ -557,8 +561,8 @@ final class PlainDate implements \JsonSerializable
      * Computes the Duration from $this to $other, expressed with the given
      * largestUnit ('year', 'month', 'week', or 'day').
      *
-     * @throws \InvalidArgumentException
-     * @throws \RangeException
+     * @throws InvalidOptionException
+     * @throws DateRangeException
      */
     private function diffWithLargestUnit(self $other, string $largestUnit): Duration
     {
@@ -8,6 +8,7 @@ use Temporal\Exception\DateRangeException;
 use Temporal\Exception\InvalidOptionException;
 use Temporal\Exception\InvalidTemporalStringException;
 use Temporal\Exception\MissingFieldException;
+use Temporal\Exception\UnsupportedCalendarException;
 
 /**
  * Represents a calendar date combined with a wall-clock time (no time zone).
@@ -281,7 +282,7 @@ final class PlainDateTime implements \JsonSerializable
      *
      * Corresponds to Temporal.PlainDateTime.prototype.withCalendar() in the TC39 proposal.
      *
-     * @throws \InvalidArgumentException if the calendar identifier is unknown.
+     * @throws UnsupportedCalendarException if the calendar identifier is unknown.
      */
     #[\NoDiscard]
     public function withCalendar(CalendarProtocol|Calendar|string $calendar): self
@@ -569,7 +570,7 @@ final class PlainDateTime implements \JsonSerializable
      * components (no years/months/weeks/days in the result).
      *
      * @param string|array{largestUnit?:string} $options
-     * @throws \InvalidArgumentException
+     * @throws InvalidOptionException if largestUnit is invalid.
      */
     public function until(self $other, string|array $options = []): Duration
     {
@@ -581,7 +582,7 @@ final class PlainDateTime implements \JsonSerializable
      * Compute the Duration since the given datetime (i.e. other until this).
      *
      * @param string|array{largestUnit?:string} $options
-     * @throws \InvalidArgumentException
+     * @throws InvalidOptionException if largestUnit is invalid.
      */
     public function since(self $other, string|array $options = []): Duration
     {
@@ -624,7 +625,8 @@ final class PlainDateTime implements \JsonSerializable
 
     public function __toString(): string
     {
-        $str = $this->toPlainDate() . 'T' . $this->toPlainTime();
+        // The ISO date on its own: the calendar annotation goes after the time
+        $str = new PlainDate($this->year, $this->month, $this->day) . 'T' . $this->toPlainTime();
 
         if ($this->calendar->getId() !== 'iso8601') {
             $str .= '[u-ca=' . $this->calendar->getId() . ']';
@@ -777,7 +779,7 @@ final class PlainDateTime implements \JsonSerializable
      * Default: 'day'.
      *
      * @param string|array{largestUnit?:string} $options
-     * @throws \InvalidArgumentException
+     * @throws InvalidOptionException
      */
     private static function parsePDTLargestUnit(string|array $options): string
     {
@@ -818,8 +820,8 @@ final class PlainDateTime implements \JsonSerializable
      *
      * Computes the Duration from $this to $other respecting $largestUnit.
      *
-     * @throws \InvalidArgumentException
-     * @throws \RangeException
+     * @throws InvalidOptionException
+     * @throws DateRangeException
      */
     private function diffWithLargestUnit(self $other, string $largestUnit): Duration
     {
@@ -24,6 +24,9 @@ final class PlainTime implements \JsonSerializable
     public readonly int $microsecond;
     public readonly int $nanosecond;
 
+    /**
+     * @throws DateRangeException if any field is out of its valid range.
+     */
     public function __construct(
         int $hour = 0,
         int $minute = 0,
@@ -55,6 +58,9 @@ final class PlainTime implements \JsonSerializable
      * Create a PlainTime from a string, array, or another PlainTime.
      *
      * @param string|array<string, mixed>|PlainTime $item
+     * @throws MissingFieldException if an array is missing hour or minute.
+     * @throws InvalidTemporalStringException if a string is not a valid time.
+     * @throws DateRangeException if any field is out of its valid range.
      */
     public static function from(string|array|self $item): self
     {
@@ -233,7 +239,7 @@ final class PlainTime implements \JsonSerializable
      *   'hour' (default), 'minute', 'second', 'millisecond', 'microsecond', 'nanosecond'.
      *
      * @param string|array{largestUnit?:string} $options
-     * @throws \InvalidArgumentException if largestUnit is invalid.
+     * @throws InvalidOptionException if largestUnit is invalid.
      */
     public function until(self $other, string|array $options = []): Duration
     {
@@ -246,7 +252,7 @@ final class PlainTime implements \JsonSerializable
      * Compute the Duration since the given time (i.e. other until this).
      *
      * @param string|array{largestUnit?:string} $options
-     * @throws \InvalidArgumentException if largestUnit is invalid.
+     * @throws InvalidOptionException if largestUnit is invalid.
      */
     public function since(self $other, string|array $options = []): Duration
     {
@@ -457,7 +463,7 @@ final class PlainTime implements \JsonSerializable
      *              microsecond(s), nanosecond(s). Default: 'hour'.
      *
      * @param string|array{largestUnit?:string} $options
-     * @throws \InvalidArgumentException
+     * @throws InvalidOptionException
      */
     private static function parseTimeLargestUnit(string|array $options): string
     {
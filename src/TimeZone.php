@@ -33,6 +33,8 @@ final class TimeZone
     /**
      * Create a TimeZone from an IANA timezone name, a fixed UTC offset string
      * (e.g. "+05:30", "-08:00", "+00:00"), or another TimeZone instance.
+     *
+     * @throws UnknownTimeZoneException if the identifier is not recognised.
      */
     public static function from(string|self $item): self
     {
@@ -104,6 +106,8 @@ final class TimeZone
      * forward), the result is shifted forward past the gap.
      *
      * @param string $disambiguation 'compatible' (default) | 'earlier' | 'later' | 'reject'
+     * @throws AmbiguousTimeException if the time is ambiguous or skipped and $disambiguation is 'reject'.
+     * @throws InvalidOptionException if $disambiguation is unknown.
      */
     public function getInstantFor(PlainDateTime $dateTime, string $disambiguation = 'compatible'): Instant
     {
@@ -346,7 +350,7 @@ final class TimeZone
      * Validate and normalise the timezone identifier.
      * Accepts 'UTC', IANA names, and fixed-offset strings (±HH:MM).
      *
-     * @throws InvalidArgumentException if the ID is not recognised.
+     * @throws UnknownTimeZoneException if the ID is not recognised.
      */
     private static function validate(string $id): string
     {
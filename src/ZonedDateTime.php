@@ -7,6 +7,7 @@ namespace Temporal;
 use Temporal\Exception\InvalidOptionException;
 use Temporal\Exception\InvalidTemporalStringException;
 use Temporal\Exception\MissingFieldException;
+use Temporal\Exception\UnsupportedCalendarException;
 
 /**
  * Represents a specific moment in time combined with a time zone.
@@ -313,7 +314,7 @@ final class ZonedDateTime implements \JsonSerializable
      *
      * Corresponds to Temporal.ZonedDateTime.prototype.withCalendar() in the TC39 proposal.
      *
-     * @throws \InvalidArgumentException if the calendar identifier is unknown.
+     * @throws UnsupportedCalendarException if the calendar identifier is unknown.
      */
     #[\NoDiscard]
     public function withCalendar(CalendarProtocol|Calendar|string $calendar): self
@@ -0,0 +1,186 @@
+<?php
+
+declare(strict_types = 1);
+
+namespace Temporal\Tests;
+
+use PHPUnit\Framework\AssertionFailedError;
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Runs the PHP samples of the documentation.
+ *
+ * tests/fixtures/docs/*.json are written by tools/extract-doc-samples.mjs, one
+ * per docs page. A page's code blocks run in order in one shared scope, with
+ * every `use` import of the page in effect. Statements annotated `// => …` in
+ * the docs are checked: what they print (echo, print, var_dump, print_r),
+ * their value, or the exception they throw. An uncaught exception or a PHP
+ * warning anywhere on the page fails it too, reported at its docs line.
+ */
+final class DocSamplesTest extends TestCase
+{
+    /** Docs page being run, for failure messages */
+    private string $page = '';
+
+    /** @var array<int, array{statement: string, expect: string, value: string}> checks of the block being run, by docs line */
+    private array $checks = [];
+
+    /** @return array<string, array{array<string, mixed>}> */
+    public static function pages(): array
+    {
+        $pages = [];
+
+        foreach (glob(__DIR__ . '/fixtures/docs/*.json') ?: [] as $file) {
+            $data = json_decode((string) file_get_contents($file), true);
+            if (is_array($data) && is_array($data['blocks'] ?? null)) {
+                $pages[(string) ( $data['slug'] ?? basename($file, '.json') )] = [$data];
+            }
+        }
+
+        // PHPUnit rejects an empty data provider
+        return $pages !== [] ? $pages : ['no docs samples' => [[]]];
+    }
+
+    /** @param array<string, mixed> $page */
+    #[DataProvider('pages')]
+    public function testPage(array $page): void
+    {
+        if ($page === []) {
+            self::markTestSkipped('No docs samples extracted yet (node tools/extract-doc-samples.mjs).');
+        }
+
+        $this->page = (string) $page['page'];
+        $imports = (array) $page['imports'];
+        $prelude = $imports !== [] ? 'use ' . implode(', ', $imports) . '; ' : '';
+        $scope = [];
+
+        set_error_handler(static function (int $severity, string $message, string $file, int $line): never {
+            throw new \ErrorException($message, 0, $severity, $file, $line);
+        });
+        try {
+            foreach ((array) $page['blocks'] as $block) {
+                $this->checks = [];
+                foreach ((array) $block['checks'] as $check) {
+                    $this->checks[(int) $check['line']] = $check;
+                }
+                $scope = $this->runBlock((int) $block['line'], $prelude . $this->instrument($block), $scope);
+            }
+        } finally {
+            restore_error_handler();
+        }
+
+        // Pages without annotations still count as passing once they run cleanly
+        $this->addToAssertionCount(1);
+    }
+
+    /**
+     * The block's code, line for line, with `<?php`, `declare` and `use`
+     * lines emptied (the prelude imports for the whole page) and each
+     * annotated statement wrapped in a call to {@see self::sampleResult()}.
+     *
+     * @param array<string, mixed> $block
+     */
+    private function instrument(array $block): string
+    {
+        $lines = explode("\n", (string) $block['code']);
+
+        foreach ($lines as $i => $text) {
+            $trimmed = trim($text);
+            if ($trimmed === '<?php' || preg_match('/^(declare\s*\(|use\s+[\w\\\\]+(\s+as\s+\w+)?\s*;)/', $trimmed) === 1) {
+                $lines[$i] = '';
+                continue;
+            }
+
+            $line = (int) $block['line'] + $i;
+            $check = $this->checks[$line] ?? null;
+            if ($check === null) {
+                continue;
+            }
+            $statement = $check['statement'];
+            $lines[$i] = match ($check['expect']) {
+                'output' => "ob_start(); {$statement} \$__test->sampleResult({$line}, ob_get_clean());",
+                'throws' => "\$__e = null; try { {$statement} } catch (\\Throwable \$__e) {} \$__test->sampleResult({$line}, \$__e);",
+                default => '$__test->sampleResult(' . $line . ', (' . substr($statement, 0, -1) . '));',
+            };
+        }
+
+        return implode("\n", $lines);
+    }
+
+    /**
+     * Run one block in the page's scope and return the scope it leaves.
+     *
+     * @param array<string, mixed> $scope
+     * @return array<string, mixed>
+     */
+    private function runBlock(int $firstLine, string $code, array $scope): array
+    {
+        $level = ob_get_level();
+        ob_start();
+        try {
+            return (static function (string $__code, array $__scope, self $__test): array {
+                // A page's blocks share one scope, as they read on the page: the
+                // earlier blocks' variables are restored and the block is run as
+                // PHP. Only the docs samples in tests/fixtures/docs/ get here.
+                // @mago-ignore lint:no-extract
+                extract($__scope);
+                // @mago-ignore lint:no-eval
+                eval($__code);
+                unset($__code, $__scope, $__test, $__e);
+
+                return get_defined_vars();
+            })($code, $scope, $this);
+        } catch (\Throwable $e) {
+            if ($e instanceof AssertionFailedError) {
+                throw $e;
+            }
+            self::fail(sprintf('%s:%d: %s: %s', $this->page, $firstLine + self::sampleLine($e) - 1, $e::class, $e->getMessage()));
+        } finally {
+            while (ob_get_level() > $level) {
+                ob_end_clean();
+            }
+        }
+    }
+
+    /** Line within the block's code that raised `$e`, or 1 when it cannot tell. */
+    private static function sampleLine(\Throwable $e): int
+    {
+        $frames = [['file' => $e->getFile(), 'line' => $e->getLine()], ...$e->getTrace()];
+        foreach ($frames as $frame) {
+            if (str_contains($frame['file'] ?? '', "eval()'d code")) {
+                return (int) ( $frame['line'] ?? 1 );
+            }
+        }
+
+        return 1;
+    }
+
+    /**
+     * Called by the instrumented samples with what an annotated statement
+     * printed, evaluated to or threw.
+     *
+     * @internal
+     */
+    public function sampleResult(int $line, mixed $actual): void
+    {
+        $check = $this->checks[$line];
+        $where = "{$this->page}:{$line}: `{$check['statement']}`";
+
+        if ($check['expect'] === 'throws') {
+            self::assertInstanceOf($check['value'], $actual, "{$where} should throw {$check['value']}");
+
+            return;
+        }
+        if ($actual instanceof \Throwable) {
+            self::fail("{$where} threw " . $actual::class . ": {$actual->getMessage()}");
+        }
+
+        $shown = match (true) {
+            $check['expect'] === 'output' => trim((string) $actual),
+            is_string($actual), $actual instanceof \Stringable => (string) $actual,
+            default => json_encode($actual, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_PRESERVE_ZERO_FRACTION),
+        };
+        self::assertSame($check['value'], $shown, "{$where} is documented as {$check['value']}");
+    }
+}
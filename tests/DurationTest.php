@@ -629,6 +629,14 @@ class DurationTest extends TestCase
         $this->assertSame('PT2.001001001S', (string) $d);
     }
 
+    public function testToStringCarriesSubSecondUnitsIntoSeconds(): void
+    {
+        $this->assertSame('PT1.5S', (string) new Duration(milliseconds: 1500));
+        $this->assertSame('PT450305.005S', (string) new Duration(milliseconds: 450305005));
+        $this->assertSame('PT3.002001S', (string) new Duration(seconds: 1, microseconds: 2_002_001));
+        $this->assertSame('-PT2.5S', (string) new Duration(milliseconds: -1000, nanoseconds: -1_500_000_000));
+    }
+
     public function testToStringNegativeWithTime(): void
     {
         $d = new Duration(hours: -1, minutes: -30);
@@ -0,0 +1,106 @@
+<?php
+
+declare(strict_types = 1);
+
+namespace Temporal\Tests;
+
+use PHPUnit\Framework\Attributes\DataProvider;
+use PHPUnit\Framework\SkippedTest;
+use PHPUnit\Framework\TestCase;
+use Temporal\Tests\Support\CallReplayer;
+use Temporal\Tests\Support\UnreplayableCallException;
+
+/**
+ * Replays divergences found by tools/fuzz-temporal.mjs.
+ *
+ * Each case in tests/fixtures/fuzz/*.json is a minimised call on which the PHP
+ * port disagreed with @js-temporal/polyfill, together with what the polyfill
+ * returned (`expected.result`) or the PHP exception its error maps to
+ * (`expected.exception`). A case passes once PHP agrees with the polyfill.
+ * A case with a `known` note describes a gap not fixed yet: it is reported as
+ * incomplete while it still diverges, and fails once it agrees so the note
+ * gets removed.
+ */
+final class FuzzRegressionTest extends TestCase
+{
+    /** @return array<string, array{array<string, mixed>|null, array<string, mixed>|null, string|null}> */
+    public static function regressions(): array
+    {
+        $cases = [];
+
+        foreach (glob(__DIR__ . '/fixtures/fuzz/*.json') ?: [] as $file) {
+            $data = json_decode((string) file_get_contents($file), true);
+            if (!is_array($data)) {
+                continue;
+            }
+
+            foreach ((array) ( $data['cases'] ?? [] ) as $idx => $case) {
+                if (!is_array($case) || !is_array($case['call'] ?? null) || !is_array($case['expected'] ?? null)) {
+                    continue;
+                }
+                $call = $case['call'];
+                $label = "{$call['type']}.{$call['method']}";
+                $seed = (string) ( $case['seed'] ?? "#{$idx}" );
+                $known = isset($case['known']) ? (string) $case['known'] : null;
+                $name = basename($file, '.json') . "[{$idx}] {$label} (seed {$seed})";
+                $cases[$name] = [$call, $case['expected'], $known];
+            }
+        }
+
+        // PHPUnit rejects an empty data provider
+        return $cases !== [] ? $cases : ['no saved regressions' => [null, null, null]];
+    }
+
+    /**
+     * @param array<string, mixed>|null $call
+     * @param array<string, mixed>|null $expected
+     */
+    #[DataProvider('regressions')]
+    public function testRegression(?array $call, ?array $expected, ?string $known): void
+    {
+        if ($call === null || $expected === null) {
+            self::markTestSkipped('No fuzz regressions saved yet (node tools/fuzz-temporal.mjs --save).');
+        }
+
+        if ($known === null) {
+            self::assertReplaysAsExpected($call, $expected);
+
+            return;
+        }
+
+        try {
+            self::assertReplaysAsExpected($call, $expected);
+        } catch (SkippedTest $e) {
+            throw $e;
+        } catch (\Throwable $e) {
+            self::markTestIncomplete("Known gap: {$known} ({$e->getMessage()})");
+        }
+
+        self::fail("Agrees with the polyfill now; remove the case's known note: {$known}");
+    }
+
+    /**
+     * @param array<string, mixed> $call
+     * @param array<string, mixed> $expected
+     */
+    private static function assertReplaysAsExpected(array $call, array $expected): void
+    {
+        try {
+            $result = CallReplayer::replay($call);
+        } catch (UnreplayableCallException $e) {
+            self::markTestSkipped($e->getMessage());
+        } catch (\Throwable $e) {
+            if (!isset($expected['exception'])) {
+                throw $e;
+            }
+            self::assertInstanceOf($expected['exception'], $e);
+
+            return;
+        }
+
+        if (isset($expected['exception'])) {
+            self::fail("Expected {$expected['exception']}, got " . json_encode(CallReplayer::encode($result)));
+        }
+        self::assertEquals($expected['result'] ?? null, CallReplayer::encode($result));
+    }
+}
@@ -0,0 +1,472 @@
+<?php
+
+declare(strict_types = 1);
+
+namespace Temporal\Tests\Support;
+
+use Temporal\Calendar;
+use Temporal\CalendarProtocol;
+use Temporal\Duration;
+use Temporal\Instant;
+use Temporal\PlainDate;
+use Temporal\PlainDateTime;
+use Temporal\PlainMonthDay;
+use Temporal\PlainTime;
+use Temporal\PlainYearMonth;
+use Temporal\ZonedDateTime;
+
+/**
+ * Replays JS Temporal call records against the PHP API.
+ *
+ * A call record ({type, method, receiver, args, options}) is written by
+ * tools/temporal-calls.mjs. The JS signature is mapped onto the PHP one:
+ *  - positional arguments are coerced to the declared parameter types
+ *    (ISO strings to objects, Duration values to field arrays for methods
+ *    that only take arrays, calendar ids to CalendarProtocol)
+ *  - an `overflow` option becomes the trailing `$overflow` parameter
+ *  - any other options bag is passed to the `…Options` parameter as is
+ *  - a getter read (`property: true`) becomes a property read, with dates
+ *    reporting year/month/day in their own calendar as the JS getters do
+ *
+ * The receiver is normally the instance's string form; callers that keep
+ * the PHP objects themselves (ObjectBridge) may pass the object instead, and
+ * decoded arguments may already be objects.
+ *
+ * Calls the PHP API cannot express throw UnreplayableCallException rather
+ * than being approximated. render() writes the same call as PHP source.
+ */
+final class CallReplayer
+{
+    public const TYPES = [
+        'Duration' => Duration::class,
+        'Instant' => Instant::class,
+        'PlainDate' => PlainDate::class,
+        'PlainDateTime' => PlainDateTime::class,
+        'PlainMonthDay' => PlainMonthDay::class,
+        'PlainTime' => PlainTime::class,
+        'PlainYearMonth' => PlainYearMonth::class,
+        'ZonedDateTime' => ZonedDateTime::class,
+    ];
+
+    private const DURATION_FIELDS = [
+        'years',
+        'months',
+        'weeks',
+        'days',
+        'hours',
+        'minutes',
+        'seconds',
+        'milliseconds',
+        'microseconds',
+        'nanoseconds',
+    ];
+
+    /**
+     * Run a call record and return the PHP result.
+     *
+     * @param array<string, mixed> $call
+     * @throws UnreplayableCallException
+     */
+    public static function replay(array $call): mixed
+    {
+        if (( $call['property'] ?? false ) === true) {
+            [$class, $name, $receiver] = self::resolveProperty($call);
+
+            return self::read(is_string($receiver) ? $class::from($receiver) : $receiver, $name);
+        }
+
+        [$class, $name, $bound, $receiver] = self::resolve($call);
+
+        return match (true) {
+            $name === '__construct' => new $class(...$bound),
+            $receiver === null => $class::$name(...$bound),
+            default => ( is_string($receiver) ? $class::from($receiver) : $receiver )->{$name}(...$bound),
+        };
+    }
+
+    /**
+     * The PHP expression replay() evaluates, e.g.
+     * `PlainDate::from('2020-02-29')->add(['years' => 1], overflow: 'reject')`.
+     * Class names are left unqualified for the caller to import.
+     *
+     * @param array<string, mixed> $call
+     * @throws UnreplayableCallException
+     */
+    public static function render(array $call): string
+    {
+        if (( $call['property'] ?? false ) === true) {
+            [$class, $name, $receiver] = self::resolveProperty($call);
+            $type = (string) array_search($class, self::TYPES, true);
+            if (!is_string($receiver)) {
+                throw new UnreplayableCallException("Cannot write a {$type}.{$name} receiver object as PHP");
+            }
+
+            return "{$type}::from(" . var_export($receiver, true) . ")->{$name}";
+        }
+
+        [$class, $name, $bound, $receiver] = self::resolve($call);
+        $type = (string) array_search($class, self::TYPES, true);
+        $args = self::renderArguments(new \ReflectionMethod($class, $name), $bound);
+
+        return match (true) {
+            $name === '__construct' => "new {$type}({$args})",
+            $receiver === null => "{$type}::{$name}({$args})",
+            $name === '__toString' => "(string) {$type}::from(" . var_export($receiver, true) . ')',
+            default => "{$type}::from(" . var_export($receiver, true) . ")->{$name}({$args})",
+        };
+    }
+
+    /**
+     * Class, PHP method, bound arguments and receiver (null for static calls
+     * and constructors) of a call record.
+     *
+     * @param array<string, mixed> $call
+     * @return array{class-string, string, array<string, mixed>, string|object|null}
+     * @throws UnreplayableCallException
+     */
+    private static function resolve(array $call): array
+    {
+        $type = (string) ( $call['type'] ?? '' );
+        $method = (string) ( $call['method'] ?? '' );
+        $class = self::TYPES[$type] ?? throw new UnreplayableCallException("Unknown Temporal type '{$type}'");
+        $args = array_map(self::decode(...), array_values((array) ( $call['args'] ?? [] )));
+        $options = self::decode($call['options'] ?? null);
+
+        if ($method === 'constructor') {
+            // Instant and ZonedDateTime have no public constructor; JS passes
+            // epoch nanoseconds as the first argument to both
+            $name = match ($class) {
+                Instant::class, ZonedDateTime::class => 'fromEpochNanoseconds',
+                default => '__construct',
+            };
+            $bound = self::bind(new \ReflectionMethod($class, $name), $args, $options, "new {$class}");
+
+            return [$class, $name, $bound, null];
+        }
+
+        $name = match ($method) {
+            'toString' => '__toString',
+            'toJSON' => 'jsonSerialize',
+            default => $method,
+        };
+        if (!method_exists($class, $name)) {
+            throw new UnreplayableCallException("{$type}.{$method} has no PHP counterpart");
+        }
+
+        $reflection = new \ReflectionMethod($class, $name);
+        $bound = self::bind($reflection, $args, $options, "{$type}.{$method}");
+        if ($reflection->isStatic()) {
+            return [$class, $name, $bound, null];
+        }
+
+        $receiver = $call['receiver'] ?? null;
+        if (!is_string($receiver) && !$receiver instanceof $class) {
+            throw new UnreplayableCallException("{$type}.{$method} needs a receiver");
+        }
+
+        return [$class, $name, $bound, $receiver];
+    }
+
+    /**
+     * Class, property and receiver of a getter read.
+     *
+     * @param array<string, mixed> $call
+     * @return array{class-string, string, string|object}
+     * @throws UnreplayableCallException
+     */
+    private static function resolveProperty(array $call): array
+    {
+        $type = (string) ( $call['type'] ?? '' );
+        $name = (string) ( $call['method'] ?? '' );
+        $class = self::TYPES[$type] ?? throw new UnreplayableCallException("Unknown Temporal type '{$type}'");
+        $receiver = $call['receiver'] ?? null;
+        if (!is_string($receiver) && !$receiver instanceof $class) {
+            throw new UnreplayableCallException("{$type}.{$name} needs a receiver");
+        }
+
+        return [$class, $name, $receiver];
+    }
+
+    /**
+     * Read a JS getter on a PHP object. Dates report year/month/day in their
+     * own calendar, as the JS getters do; the PHP properties are ISO fields.
+     *
+     * @throws UnreplayableCallException
+     */
+    public static function read(object $object, string $property): mixed
+    {
+        $isDate = $object instanceof PlainDate || $object instanceof PlainDateTime;
+        if ($isDate && in_array($property, ['year', 'month', 'day'], true)) {
+            return $object->getCalendar()->{$property}($object->year, $object->month, $object->day);
+        }
+        if ($object instanceof ZonedDateTime && $property === 'timeZoneId') {
+            return $object->timeZone->id;
+        }
+        if (!property_exists($object, $property) && !isset($object->{$property})) {
+            $type = (string) array_search($object::class, self::TYPES, true);
+            throw new UnreplayableCallException("{$type}.{$property} has no PHP counterpart");
+        }
+
+        return $object->{$property};
+    }
+
+    /**
+     * JSON-safe form of a PHP result, in the shape serializeValue() gives the
+     * polyfill's result.
+     */
+    public static function encode(mixed $value): mixed
+    {
+        if ($value instanceof ZonedDateTime) {
+            return [
+                '$type' => 'ZonedDateTime',
+                'value' => (string) $value,
+                'epochNanoseconds' => (string) $value->epochNanoseconds,
+            ];
+        }
+        if (is_object($value)) {
+            $type = array_search($value::class, self::TYPES, true);
+
+            return is_string($type) && $value instanceof \Stringable
+                ? ['$type' => $type, 'value' => (string) $value]
+                : ['$type' => 'object'];
+        }
+        if (is_float($value) && !is_finite($value)) {
+            return ['$type' => 'number', 'value' => is_nan($value) ? 'NaN' : ( $value > 0 ? 'Infinity' : '-Infinity' )];
+        }
+        if (is_array($value)) {
+            return array_map(self::encode(...), $value);
+        }
+
+        return $value;
+    }
+
+    /**
+     * Turn `{ $type, value }` records back into PHP values; property bags are
+     * decoded field by field.
+     *
+     * @throws UnreplayableCallException
+     */
+    public static function decode(mixed $value): mixed
+    {
+        if (!is_array($value)) {
+            return $value;
+        }
+        if (!array_key_exists('$type', $value)) {
+            return array_map(self::decode(...), $value);
+        }
+
+        $type = (string) $value['$type'];
+        $raw = (string) ( $value['value'] ?? '' );
+
+        if ($type === 'bigint') {
+            $int = filter_var($raw, FILTER_VALIDATE_INT);
+            if ($int === false) {
+                throw new UnreplayableCallException("BigInt {$raw} does not fit in a PHP int");
+            }
+
+            return $int;
+        }
+        if ($type === 'number') {
+            return match ($raw) {
+                'Infinity' => INF,
+                '-Infinity' => -INF,
+                default => NAN,
+            };
+        }
+        if (isset(self::TYPES[$type])) {
+            return self::TYPES[$type]::from($raw);
+        }
+
+        throw new UnreplayableCallException("Cannot replay a {$type} argument");
+    }
+
+    /**
+     * Map JS arguments and options onto named PHP parameters.
+     *
+     * @param list<mixed> $args
+     * @return array<string, mixed>
+     * @throws UnreplayableCallException
+     */
+    private static function bind(\ReflectionMethod $method, array $args, mixed $options, string $label): array
+    {
+        $bound = [];
+
+        foreach ($method->getParameters() as $param) {
+            $name = $param->getName();
+
+            if ($name === 'overflow') {
+                if (is_array($options) && array_key_exists('overflow', $options)) {
+                    $bound[$name] = $options['overflow'];
+                    unset($options['overflow']);
+                }
+                continue;
+            }
+            if (str_ends_with(strtolower($name), 'options')) {
+                if ($options !== null && $options !== []) {
+                    $bound[$name] = $options;
+                    $options = null;
+                }
+                continue;
+            }
+            if ($args === []) {
+                break;
+            }
+
+            $arg = array_shift($args);
+            if ($arg === null && $param->isOptional()) {
+                continue;
+            }
+            $bound[$name] = self::coerce($arg, $param);
+        }
+
+        if (array_filter($args, static fn(mixed $arg): bool => $arg !== null) !== []) {
+            throw new UnreplayableCallException("{$label} takes fewer arguments in PHP");
+        }
+        if ($options !== null && $options !== []) {
+            $keys = is_array($options) ? implode(', ', array_keys($options)) : (string) $options;
+            throw new UnreplayableCallException("{$label} has no PHP parameter for options: {$keys}");
+        }
+
+        return $bound;
+    }
+
+    /**
+     * Convert a decoded JS argument to what the PHP parameter declares.
+     *
+     * @throws UnreplayableCallException
+     */
+    private static function coerce(mixed $value, \ReflectionParameter $param): mixed
+    {
+        $accepted = self::acceptedTypes($param);
+
+        foreach ($accepted as $type) {
+            if (get_debug_type($value) === $type || is_object($value) && $value instanceof $type) {
+                return $value;
+            }
+        }
+
+        if ($value instanceof Duration && in_array('array', $accepted, true)) {
+            return self::durationFields($value);
+        }
+        if (is_string($value) && in_array(CalendarProtocol::class, $accepted, true)) {
+            return Calendar::from($value)->getProtocol();
+        }
+        if (is_string($value) || is_array($value)) {
+            foreach ($accepted as $type) {
+                if (in_array($type, self::TYPES, true)) {
+                    return $type::from($value);
+                }
+            }
+        }
+        if (is_string($value) && in_array('array', $accepted, true)) {
+            return self::durationFields(Duration::from($value));
+        }
+
+        // Leave anything else to PHP's own type checks
+        return $value;
+    }
+
+    /**
+     * Type names a parameter accepts, with `self` resolved to its class.
+     *
+     * @return list<string>
+     */
+    private static function acceptedTypes(\ReflectionParameter $param): array
+    {
+        $type = $param->getType();
+        $named = match (true) {
+            $type instanceof \ReflectionNamedType => [$type],
+            $type instanceof \ReflectionUnionType => $type->getTypes(),
+            default => [],
+        };
+
+        $names = [];
+        foreach ($named as $part) {
+            if ($part instanceof \ReflectionNamedType) {
+                $name = $part->getName();
+                $names[] = $name === 'self' ? (string) $param->getDeclaringClass()?->getName() : $name;
+            }
+        }
+        if ($type?->allowsNull() === true) {
+            $names[] = 'null';
+        }
+
+        return $names;
+    }
+
+    /**
+     * Bound arguments as PHP source: positional up to the first parameter
+     * left out, named after it.
+     *
+     * @param array<string, mixed> $bound
+     * @throws UnreplayableCallException
+     */
+    private static function renderArguments(\ReflectionMethod $method, array $bound): string
+    {
+        $parts = [];
+        $positional = true;
+
+        foreach ($method->getParameters() as $param) {
+            $name = $param->getName();
+            if (!array_key_exists($name, $bound)) {
+                $positional = false;
+                continue;
+            }
+            $parts[] = ( $positional ? '' : "{$name}: " ) . self::export($bound[$name]);
+        }
+
+        return implode(', ', $parts);
+    }
+
+    /**
+     * PHP source for an argument value.
+     *
+     * @throws UnreplayableCallException
+     */
+    private static function export(mixed $value): string
+    {
+        if ($value instanceof CalendarProtocol) {
+            return 'Calendar::from(' . var_export($value->getId(), true) . ')->getProtocol()';
+        }
+        if (is_object($value)) {
+            $type = array_search($value::class, self::TYPES, true);
+            if (!is_string($type) || !$value instanceof \Stringable) {
+                throw new UnreplayableCallException('Cannot write a ' . $value::class . ' argument as PHP');
+            }
+
+            return "{$type}::from(" . var_export((string) $value, true) . ')';
+        }
+        if (is_array($value)) {
+            $items = [];
+            foreach ($value as $key => $item) {
+                $items[] = ( array_is_list($value) ? '' : var_export($key, true) . ' => ' ) . self::export($item);
+            }
+
+            return '[' . implode(', ', $items) . ']';
+        }
+        if (is_float($value) && !is_finite($value)) {
+            return is_nan($value) ? 'NAN' : ( $value > 0 ? 'INF' : '-INF' );
+        }
+        if ($value === null) {
+            return 'null';
+        }
+        if ($value === PHP_INT_MIN) {
+            return 'PHP_INT_MIN';
+        }
+
+        return var_export($value, true);
+    }
+
+    /** @return array<string, int> */
+    private static function durationFields(Duration $duration): array
+    {
+        $fields = [];
+        foreach (self::DURATION_FIELDS as $field) {
+            if ($duration->{$field} !== 0) {
+                $fields[$field] = $duration->{$field};
+            }
+        }
+
+        return $fields;
+    }
+}
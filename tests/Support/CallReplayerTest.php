@@ -0,0 +1,238 @@
+<?php
+
+declare(strict_types = 1);
+
+namespace Temporal\Tests\Support;
+
+use PHPUnit\Framework\TestCase;
+use Temporal\Instant;
+use Temporal\PlainDate;
+
+class CallReplayerTest extends TestCase
+{
+    // -------------------------------------------------------------------------
+    // Argument and option mapping
+    // -------------------------------------------------------------------------
+
+    public function testOverflowOptionBecomesTheOverflowParameter(): void
+    {
+        $call = [
+            'type' => 'PlainDate',
+            'method' => 'add',
+            'receiver' => '2020-02-29',
+            'args' => [['years' => 1]],
+            'options' => ['overflow' => 'constrain'],
+        ];
+
+        $this->assertSame(
+            "PlainDate::from('2020-02-29')->add(['years' => 1], 'constrain')",
+            CallReplayer::render($call),
+        );
+        $this->assertSame('2021-02-28', (string) CallReplayer::replay($call));
+    }
+
+    public function testOptionsBagGoesToTheOptionsParameter(): void
+    {
+        $call = [
+            'type' => 'PlainDate',
+            'method' => 'until',
+            'receiver' => '2020-01-31',
+            'args' => ['2020-03-01'],
+            'options' => ['largestUnit' => 'months'],
+        ];
+
+        $this->assertSame(
+            "PlainDate::from('2020-01-31')->until(PlainDate::from('2020-03-01'), ['largestUnit' => 'months'])",
+            CallReplayer::render($call),
+        );
+        $this->assertSame('P1M1D', (string) CallReplayer::replay($call));
+    }
+
+    public function testDurationArgumentBecomesFieldArray(): void
+    {
+        $call = [
+            'type' => 'PlainDate',
+            'method' => 'add',
+            'receiver' => '2020-02-29',
+            'args' => [['$type' => 'Duration', 'value' => 'P1Y']],
+            'options' => null,
+        ];
+
+        $this->assertSame("PlainDate::from('2020-02-29')->add(['years' => 1])", CallReplayer::render($call));
+    }
+
+    public function testStaticCallCoercesStringsToObjects(): void
+    {
+        $call = [
+            'type' => 'PlainDate',
+            'method' => 'compare',
+            'receiver' => null,
+            'args' => ['2020-02-29', '2020-03-01'],
+            'options' => null,
+        ];
+
+        $this->assertSame(-1, CallReplayer::replay($call));
+        $this->assertSame(
+            "PlainDate::compare(PlainDate::from('2020-02-29'), PlainDate::from('2020-03-01'))",
+            CallReplayer::render($call),
+        );
+    }
+
+    public function testToStringMapsToStringCast(): void
+    {
+        $call = ['type' => 'PlainDate', 'method' => 'toString', 'receiver' => '2020-02-29', 'args' => []];
+
+        $this->assertSame('2020-02-29', CallReplayer::replay($call));
+        $this->assertSame("(string) PlainDate::from('2020-02-29')", CallReplayer::render($call));
+    }
+
+    // -------------------------------------------------------------------------
+    // Constructors and getters
+    // -------------------------------------------------------------------------
+
+    public function testConstructor(): void
+    {
+        $call = ['type' => 'PlainDate', 'method' => 'constructor', 'receiver' => null, 'args' => [2020, 2, 29]];
+
+        $this->assertInstanceOf(PlainDate::class, CallReplayer::replay($call));
+        $this->assertSame('new PlainDate(2020, 2, 29)', CallReplayer::render($call));
+    }
+
+    public function testInstantConstructorMapsToFromEpochNanoseconds(): void
+    {
+        $call = [
+            'type' => 'Instant',
+            'method' => 'constructor',
+            'receiver' => null,
+            'args' => [['$type' => 'bigint', 'value' => '1000000000']],
+            'options' => null,
+        ];
+
+        $instant = CallReplayer::replay($call);
+        $this->assertInstanceOf(Instant::class, $instant);
+        $this->assertSame('1970-01-01T00:00:01Z', (string) $instant);
+        $this->assertSame('Instant::fromEpochNanoseconds(1000000000)', CallReplayer::render($call));
+    }
+
+    public function testGetterReadsTheProperty(): void
+    {
+        $call = [
+            'type' => 'PlainDate',
+            'method' => 'dayOfWeek',
+            'receiver' => '2021-02-28',
+            'args' => [],
+            'options' => null,
+            'property' => true,
+        ];
+
+        $this->assertSame(7, CallReplayer::replay($call));
+        $this->assertSame("PlainDate::from('2021-02-28')->dayOfWeek", CallReplayer::render($call));
+    }
+
+    public function testDateGettersAreInTheDatesCalendar(): void
+    {
+        $this->assertSame(2563, CallReplayer::read(PlainDate::from('2020-01-01')->withCalendar('buddhist'), 'year'));
+    }
+
+    // -------------------------------------------------------------------------
+    // Encoding
+    // -------------------------------------------------------------------------
+
+    public function testEncodeAndDecodeNonFiniteNumbers(): void
+    {
+        $this->assertSame(['$type' => 'number', 'value' => 'NaN'], CallReplayer::encode(NAN));
+        $this->assertSame(-INF, CallReplayer::decode(['$type' => 'number', 'value' => '-Infinity']));
+    }
+
+    public function testEncodeTemporalObject(): void
+    {
+        $this->assertSame(
+            ['$type' => 'PlainDate', 'value' => '2020-02-29'],
+            CallReplayer::encode(new PlainDate(2020, 2, 29)),
+        );
+    }
+
+    // -------------------------------------------------------------------------
+    // Unreplayable calls
+    // -------------------------------------------------------------------------
+
+    public function testUnknownTypeIsUnreplayable(): void
+    {
+        $this->expectException(UnreplayableCallException::class);
+        $this->expectExceptionMessage("Unknown Temporal type 'Calendar'");
+
+        CallReplayer::replay(['type' => 'Calendar', 'method' => 'from', 'receiver' => null, 'args' => ['iso8601']]);
+    }
+
+    public function testMethodWithoutPhpCounterpartIsUnreplayable(): void
+    {
+        $this->expectException(UnreplayableCallException::class);
+        $this->expectExceptionMessage('PlainDate.toLocaleString has no PHP counterpart');
+
+        CallReplayer::replay(['type' => 'PlainDate', 'method' => 'toLocaleString', 'receiver' => '2020-02-29']);
+    }
+
+    public function testInstanceMethodWithoutReceiverIsUnreplayable(): void
+    {
+        $this->expectException(UnreplayableCallException::class);
+        $this->expectExceptionMessage('PlainDate.add needs a receiver');
+
+        CallReplayer::replay(['type' => 'PlainDate', 'method' => 'add', 'args' => [['years' => 1]]]);
+    }
+
+    public function testExtraArgumentsAreUnreplayable(): void
+    {
+        $this->expectException(UnreplayableCallException::class);
+        $this->expectExceptionMessage('PlainDate.equals takes fewer arguments in PHP');
+
+        CallReplayer::replay([
+            'type' => 'PlainDate',
+            'method' => 'equals',
+            'receiver' => '2020-02-29',
+            'args' => ['2020-02-29', 'x'],
+        ]);
+    }
+
+    public function testOptionsWithoutParameterAreUnreplayable(): void
+    {
+        $this->expectException(UnreplayableCallException::class);
+        $this->expectExceptionMessage('PlainDate.toString has no PHP parameter for options: calendarName');
+
+        CallReplayer::replay([
+            'type' => 'PlainDate',
+            'method' => 'toString',
+            'receiver' => '2020-02-29',
+            'args' => [],
+            'options' => ['calendarName' => 'always'],
+        ]);
+    }
+
+    public function testBigIntOutsideIntRangeIsUnreplayable(): void
+    {
+        $this->expectException(UnreplayableCallException::class);
+        $this->expectExceptionMessage('BigInt 100000000000000000000 does not fit in a PHP int');
+
+        CallReplayer::decode(['$type' => 'bigint', 'value' => '100000000000000000000']);
+    }
+
+    public function testUnknownArgumentTypeIsUnreplayable(): void
+    {
+        $this->expectException(UnreplayableCallException::class);
+        $this->expectExceptionMessage('Cannot replay a symbol argument');
+
+        CallReplayer::decode(['$type' => 'symbol']);
+    }
+
+    public function testUnknownGetterIsUnreplayable(): void
+    {
+        $this->expectException(UnreplayableCallException::class);
+        $this->expectExceptionMessage('PlainDate.nope has no PHP counterpart');
+
+        CallReplayer::replay([
+            'type' => 'PlainDate',
+            'method' => 'nope',
+            'receiver' => '2020-02-29',
+            'property' => true,
+        ]);
+    }
+}
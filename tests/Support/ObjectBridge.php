@@ -0,0 +1,103 @@
+<?php
+
+declare(strict_types = 1);
+
+namespace Temporal\Tests\Support;
+
+/**
+ * PHP side of tools/test262-bridge.mjs: holds the objects a test262 file
+ * creates so the JS proxies can refer to them by handle.
+ *
+ * Calls use CallReplayer's record format, except that the receiver and any
+ * argument may be a `{"$handle": n}` reference. Temporal objects in results
+ * come back as `{"$handle": n, "$type": "PlainDate"}`; everything else is
+ * encoded as CallReplayer::encode() does. release() drops all handles, which
+ * the bridge does after every file.
+ */
+final class ObjectBridge
+{
+    /** @var array<int, object> */
+    private array $objects = [];
+
+    private int $nextHandle = 1;
+
+    /**
+     * @param array<string, mixed> $call
+     * @throws UnreplayableCallException
+     */
+    public function invoke(array $call): mixed
+    {
+        $call['receiver'] = $this->resolve($call['receiver'] ?? null);
+        $call['args'] = $this->resolve($call['args'] ?? []);
+        $call['options'] = $this->resolve($call['options'] ?? null);
+
+        return $this->export(CallReplayer::replay($call));
+    }
+
+    /**
+     * Read a JS getter (see {@see CallReplayer::read()}).
+     *
+     * @throws UnreplayableCallException
+     */
+    public function get(int $handle, string $property): mixed
+    {
+        $value = CallReplayer::read($this->object($handle), $property);
+
+        // JS gives epoch nanoseconds as a BigInt
+        return $property === 'epochNanoseconds'
+            ? ['$type' => 'bigint', 'value' => (string) $value]
+            : $this->export($value);
+    }
+
+    /** Drop every handle; returns how many there were. */
+    public function release(): int
+    {
+        $count = count($this->objects);
+        $this->objects = [];
+
+        return $count;
+    }
+
+    /**
+     * Replace `{"$handle": n}` references with the objects they name.
+     *
+     * @throws UnreplayableCallException
+     */
+    private function resolve(mixed $value): mixed
+    {
+        if (!is_array($value)) {
+            return $value;
+        }
+        if (array_key_exists('$handle', $value)) {
+            return $this->object((int) $value['$handle']);
+        }
+
+        return array_map($this->resolve(...), $value);
+    }
+
+    /** @throws UnreplayableCallException */
+    private function object(int $handle): object
+    {
+        return $this->objects[$handle] ?? throw new UnreplayableCallException("Unknown handle {$handle}");
+    }
+
+    /** @throws UnreplayableCallException */
+    private function export(mixed $value): mixed
+    {
+        if (is_object($value)) {
+            $type = array_search($value::class, CallReplayer::TYPES, true);
+            if (!is_string($type)) {
+                throw new UnreplayableCallException('JS has no counterpart for a ' . $value::class . ' result');
+            }
+            $handle = $this->nextHandle++;
+            $this->objects[$handle] = $value;
+
+            return ['$handle' => $handle, '$type' => $type];
+        }
+        if (is_array($value)) {
+            return array_map($this->export(...), $value);
+        }
+
+        return CallReplayer::encode($value);
+    }
+}
@@ -0,0 +1,91 @@
+<?php
+
+declare(strict_types = 1);
+
+namespace Temporal\Tests\Support;
+
+use PHPUnit\Framework\TestCase;
+
+class ObjectBridgeTest extends TestCase
+{
+    public function testResultsComeBackAsHandles(): void
+    {
+        $bridge = new ObjectBridge();
+
+        $date = $bridge->invoke(['type' => 'PlainDate', 'method' => 'constructor', 'args' => [2020, 2, 29]]);
+        $this->assertSame(['$handle' => 1, '$type' => 'PlainDate'], $date);
+
+        $later = $bridge->invoke([
+            'type' => 'PlainDate',
+            'method' => 'add',
+            'receiver' => $date,
+            'args' => [['years' => 1]],
+        ]);
+        $this->assertSame(['$handle' => 2, '$type' => 'PlainDate'], $later);
+    }
+
+    public function testHandlesResolveAsReceiverAndArguments(): void
+    {
+        $bridge = new ObjectBridge();
+        $date = $bridge->invoke(['type' => 'PlainDate', 'method' => 'constructor', 'args' => [2020, 2, 29]]);
+        $later = $bridge->invoke([
+            'type' => 'PlainDate',
+            'method' => 'add',
+            'receiver' => $date,
+            'args' => [['years' => 1]],
+        ]);
+
+        $this->assertFalse($bridge->invoke([
+            'type' => 'PlainDate',
+            'method' => 'equals',
+            'receiver' => $date,
+            'args' => [$later],
+        ]));
+        $this->assertSame(2021, $bridge->get(2, 'year'));
+        $this->assertSame(28, $bridge->get(2, 'day'));
+    }
+
+    public function testGettersOfNonIsoDatesAreInTheirCalendar(): void
+    {
+        $bridge = new ObjectBridge();
+        $bridge->invoke(['type' => 'PlainDate', 'method' => 'constructor', 'args' => [2020, 1, 1, 'buddhist']]);
+
+        $this->assertSame(2563, $bridge->get(1, 'year'));
+        $this->assertSame('buddhist', $bridge->get(1, 'calendarId'));
+    }
+
+    public function testEpochNanosecondsComeBackAsBigInt(): void
+    {
+        $bridge = new ObjectBridge();
+        $bridge->invoke([
+            'type' => 'Instant',
+            'method' => 'constructor',
+            'args' => [['$type' => 'bigint', 'value' => '5']],
+        ]);
+
+        $this->assertSame(['$type' => 'bigint', 'value' => '5'], $bridge->get(1, 'epochNanoseconds'));
+    }
+
+    public function testReleaseDropsAllHandles(): void
+    {
+        $bridge = new ObjectBridge();
+        $bridge->invoke(['type' => 'PlainDate', 'method' => 'constructor', 'args' => [2020, 2, 29]]);
+        $bridge->invoke(['type' => 'PlainTime', 'method' => 'constructor', 'args' => [12, 30]]);
+
+        $this->assertSame(2, $bridge->release());
+
+        $this->expectException(UnreplayableCallException::class);
+        $this->expectExceptionMessage('Unknown handle 1');
+        $bridge->get(1, 'year');
+    }
+
+    public function testUnknownGetterIsUnreplayable(): void
+    {
+        $bridge = new ObjectBridge();
+        $bridge->invoke(['type' => 'PlainDate', 'method' => 'constructor', 'args' => [2020, 2, 29]]);
+
+        $this->expectException(UnreplayableCallException::class);
+        $this->expectExceptionMessage('PlainDate.nope has no PHP counterpart');
+        $bridge->get(1, 'nope');
+    }
+}
@@ -0,0 +1,221 @@
+<?php
+
+declare(strict_types = 1);
+
+namespace Temporal\Tests\Support;
+
+use PHPUnit\Framework\TestCase;
+use Temporal\Duration;
+use Temporal\PlainDate;
+use Temporal\PlainDateTime;
+use Temporal\PlainMonthDay;
+use Temporal\PlainTime;
+use Temporal\PlainYearMonth;
+use Temporal\ZonedDateTime;
+
+/**
+ * Assertions shared by the fixture-driven Test262Test and the per type/method
+ * classes tools/generate-test262-tests.mjs writes to tests/Test262/.
+ *
+ * Each assertXxxFields() helper takes the `expected` fields of one captured
+ * TemporalHelpers.assertXxx call. Dates are compared in their own calendar,
+ * and calendarId/monthCode/era/eraYear only where the fixture records them.
+ */
+abstract class Test262TestCase extends TestCase
+{
+    /** Classes whose `actual` strings carry a calendar annotation worth re-applying */
+    private const CALENDAR_CLASSES = [
+        PlainDate::class,
+        PlainDateTime::class,
+        PlainYearMonth::class,
+        PlainMonthDay::class,
+    ];
+
+    /** @param array<string, int|string> $expected */
+    protected static function assertPlainDateFields(array $expected, PlainDate $actual, string $description): void
+    {
+        [$year, $month, $day] = self::calendarDate($actual);
+
+        self::assertSame($expected['year'], $year, "year in: $description");
+        self::assertSame($expected['month'], $month, "month in: $description");
+        self::assertSame($expected['day'], $day, "day in: $description");
+        self::assertCalendarFields($actual, $expected, $description);
+    }
+
+    /** @param array<string, int> $expected */
+    protected static function assertPlainTimeFields(array $expected, PlainTime $actual, string $description): void
+    {
+        self::assertSame($expected['hour'], $actual->hour, "hour in: $description");
+        self::assertSame($expected['minute'], $actual->minute, "minute in: $description");
+        self::assertSame($expected['second'], $actual->second, "second in: $description");
+        self::assertSame($expected['millisecond'], $actual->millisecond, "millisecond in: $description");
+        self::assertSame($expected['microsecond'], $actual->microsecond, "microsecond in: $description");
+        self::assertSame($expected['nanosecond'], $actual->nanosecond, "nanosecond in: $description");
+    }
+
+    /** @param array<string, int|string> $expected */
+    protected static function assertPlainDateTimeFields(
+        array $expected,
+        PlainDateTime $actual,
+        string $description
+    ): void {
+        [$year, $month, $day] = self::calendarDate($actual);
+
+        self::assertSame($expected['year'], $year, "year in: $description");
+        self::assertSame($expected['month'], $month, "month in: $description");
+        self::assertSame($expected['day'], $day, "day in: $description");
+        self::assertSame($expected['hour'], $actual->hour, "hour in: $description");
+        self::assertSame($expected['minute'], $actual->minute, "minute in: $description");
+        self::assertSame($expected['second'], $actual->second, "second in: $description");
+        self::assertSame($expected['millisecond'], $actual->millisecond, "millisecond in: $description");
+        self::assertSame($expected['microsecond'], $actual->microsecond, "microsecond in: $description");
+        self::assertSame($expected['nanosecond'], $actual->nanosecond, "nanosecond in: $description");
+        self::assertCalendarFields($actual, $expected, $description);
+    }
+
+    /** @param array<string, int> $expected */
+    protected static function assertDurationFields(array $expected, Duration $actual, string $description): void
+    {
+        foreach ($expected as $field => $value) {
+            self::assertSame($value, $actual->{$field}, "{$field} in: $description");
+        }
+    }
+
+    /** @param array<string, int|string> $expected */
+    protected static function assertPlainYearMonthFields(
+        array $expected,
+        PlainYearMonth $actual,
+        string $description
+    ): void {
+        self::assertSame($expected['year'], $actual->year, "year in: $description");
+        self::assertSame($expected['month'], $actual->month, "month in: $description");
+        self::assertCalendarFields($actual, $expected, $description);
+    }
+
+    /** @param array<string, int|string> $expected */
+    protected static function assertPlainMonthDayFields(
+        array $expected,
+        PlainMonthDay $actual,
+        string $description
+    ): void {
+        self::assertSame($expected['day'], $actual->day, "day in: $description");
+        self::assertCalendarFields($actual, $expected, $description);
+    }
+
+    /** @param array<string, string> $expected */
+    protected static function assertZonedDateTimeFields(
+        array $expected,
+        ZonedDateTime $actual,
+        string $description
+    ): void {
+        self::assertSame($expected['timeZoneId'], $actual->timeZone->id, "timeZoneId in: $description");
+        self::assertSame($expected['offset'], $actual->offset, "offset in: $description");
+        self::assertSame(
+            $expected['epochNanoseconds'],
+            (string) $actual->epochNanoseconds,
+            "epochNanoseconds in: $description"
+        );
+    }
+
+    /**
+     * assert.sameValue() on the string form JS gives the value (`String(actual)`).
+     */
+    protected static function assertSameValue(string $expected, mixed $actual, string $description): void
+    {
+        $string = match (true) {
+            is_bool($actual) => $actual ? 'true' : 'false',
+            $actual === null => 'null',
+            is_scalar($actual), $actual instanceof \Stringable => (string) $actual,
+            default => get_debug_type($actual),
+        };
+
+        self::assertSame($expected, $string, $description);
+    }
+
+    /**
+     * assert.throws(): $call must throw $exception (or a subclass). A call
+     * the PHP API cannot express is no answer either way and propagates.
+     *
+     * @param class-string<\Throwable> $exception
+     * @throws UnreplayableCallException
+     */
+    protected static function assertThrowsException(string $exception, \Closure $call, string $description): void
+    {
+        try {
+            $call();
+        } catch (UnreplayableCallException $e) {
+            throw $e;
+        } catch (\Throwable $e) {
+            self::assertInstanceOf($exception, $e, "exception in: $description");
+
+            return;
+        }
+
+        self::fail("Expected {$exception} in: $description");
+    }
+
+    /**
+     * Compare the calendar-dependent fields a fixture may carry (older fixtures
+     * only have the numeric ones) with the object.
+     *
+     * @param array<string, int|string> $expected
+     */
+    protected static function assertCalendarFields(object $actual, array $expected, string $description): void
+    {
+        foreach (['calendarId', 'monthCode', 'era', 'eraYear'] as $field) {
+            if (array_key_exists($field, $expected)) {
+                self::assertSame($expected[$field], $actual->{$field}, "{$field} in: $description");
+            }
+        }
+    }
+
+    /**
+     * Parse a polyfill `actual` string with the class's from(), re-applying its
+     * `[u-ca=…]` annotation for the calendar-aware classes. A string PHP cannot
+     * parse (or a calendar it does not support) skips the test.
+     *
+     * @template T of object
+     * @param class-string<T> $class
+     * @return T
+     */
+    protected static function parseActual(string $class, string $actual): object
+    {
+        try {
+            $object = $class::from($actual);
+            $calendar = self::annotatedCalendar($actual);
+            if ($calendar !== null && in_array($class, self::CALENDAR_CLASSES, true)) {
+                $object = $object->withCalendar($calendar);
+            }
+        } catch (\Throwable $e) {
+            self::markTestSkipped("Could not parse '{$actual}': {$e->getMessage()}");
+        }
+
+        return $object;
+    }
+
+    /**
+     * Calendar ID from a `[u-ca=…]` annotation. from() ignores annotations, so
+     * parseActual() re-applies it with withCalendar().
+     */
+    protected static function annotatedCalendar(string $actual): ?string
+    {
+        return preg_match('/\[!?u-ca=([^\]]+)\]/', $actual, $m) === 1 ? $m[1] : null;
+    }
+
+    /**
+     * Year, month and day of a date in its own calendar. The `year`/`month`/`day`
+     * properties are ISO fields, test262 expects the calendar's (Buddhist 2563, ROC 109).
+     *
+     * @return array{int, int, int}
+     */
+    protected static function calendarDate(PlainDate|PlainDateTime $date): array
+    {
+        $calendar = $date->getCalendar();
+
+        return [
+            $calendar->year($date->year, $date->month, $date->day),
+            $calendar->month($date->year, $date->month, $date->day),
+            $calendar->day($date->year, $date->month, $date->day),
+        ];
+    }
+}
@@ -0,0 +1,13 @@
+<?php
+
+declare(strict_types = 1);
+
+namespace Temporal\Tests\Support;
+
+/**
+ * Thrown when a recorded JS call has no faithful PHP equivalent, e.g. an
+ * option the PHP signature cannot take or a BigInt outside the int range.
+ */
+final class UnreplayableCallException extends \RuntimeException
+{
+}
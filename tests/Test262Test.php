@@ -5,7 +5,7 @@ declare(strict_types = 1);
 namespace Temporal\Tests;
 
 use PHPUnit\Framework\Attributes\DataProvider;
-use PHPUnit\Framework\TestCase;
+use PHPUnit\Framework\ExpectationFailedException;
 use Temporal\Duration;
 use Temporal\Instant;
 use Temporal\PlainDate;
@@ -13,6 +13,10 @@ use Temporal\PlainDateTime;
 use Temporal\PlainMonthDay;
 use Temporal\PlainTime;
 use Temporal\PlainYearMonth;
+use Temporal\Tests\Support\CallReplayer;
+use Temporal\Tests\Support\Test262TestCase;
+use Temporal\Tests\Support\UnreplayableCallException;
+use Temporal\ZonedDateTime;
 
 /**
  * Data-driven tests generated from TC39 test262 fixture files.
@@ -26,22 +30,55 @@ use Temporal\PlainYearMonth;
  *  - actual:      the ISO string returned by the JS polyfill
  *  - expected:    the expected field values (year, month, day, …)
  *  - description: human-readable description from the test262 file
+ *  - call:        the Temporal invocation that produced `actual` (type, method,
+ *                 receiver string, JSON-serialised args and options)
+ *  - state:       the actual object field by field (calendarId, monthCode,
+ *                 era/eraYear, a Duration's exact decomposition, …)
  *
  * The PHP tests below verify that our Temporal library can:
  *   1. Parse every ISO string produced by the JS polyfill (assertXxx kind)
- *   2. Extract the correct field values from the parsed object
+ *   2. Extract the correct field values from the parsed object, including
+ *      monthCode, calendarId and era/eraYear where the fixture records them
  *   3. Re-serialize the object back to the same ISO string (round-trip)
+ *   4. Serialize exactly like the spec: sameValue assertions on a toString()
+ *      or toJSON() result replay their recorded call, formatting options
+ *      included, and compare the string. Options the PHP method does not
+ *      take are reported as skips.
+ *   5. Throw where the spec throws: assert.throws() cases replay their call
+ *      and expect the Temporal\Exception\* class (or PHP error) the JS error
+ *      maps to through tools/test262-exceptions.json.
  *
- * For Duration: we only verify round-trip (not field values) because the ISO
- * string representation does not encode the largestUnit, so the same duration
- * can legitimately decompose into different field sets.
+ * For Duration the ISO string does not encode the largestUnit, so the same
+ * duration can legitimately decompose into different field sets. Field values
+ * are verified against the recorded `state`; fixtures without one fall back to
+ * a string round-trip.
  *
- * For assertions where the polyfill's `actual` string is internally inconsistent
- * with the `expected` field values (a known issue with Number.MAX_SAFE_INTEGER
- * precision in the v0.5.1 polyfill), the test is skipped automatically.
+ * ZonedDateTime fixtures carry the tzdata version the polyfill ran against. When
+ * a ZonedDateTime assertion fails and PHP's bundled tzdata differs from it, the
+ * failure message says so, separating tzdata drift from logic bugs.
+ *
+ * Assertions where the polyfill's `actual` disagrees with the `expected` field
+ * values (a known issue with Number.MAX_SAFE_INTEGER precision in the v0.5.1
+ * polyfill) are moved to each fixture's `quarantined` section at extraction
+ * time and are not run here.
  */
-final class Test262Test extends TestCase
+final class Test262Test extends Test262TestCase
 {
+    private const DURATION_FIELDS = [
+        'years',
+        'months',
+        'weeks',
+        'days',
+        'hours',
+        'minutes',
+        'seconds',
+        'milliseconds',
+        'microseconds',
+        'nanoseconds',
+    ];
+
+    private const SERIALIZERS = ['toString', 'toJSON'];
+
     // ── Data Providers ────────────────────────────────────────────────────────
 
     /** @return array<string, array<int, mixed>> */
@@ -63,7 +100,7 @@ final class Test262Test extends TestCase
     }
 
     /** @return array<string, array<int, mixed>> */
-    public static function durationRoundTripAssertions(): array
+    public static function durationAssertions(): array
     {
         return self::loadKind('assertDuration');
     }
@@ -86,160 +123,139 @@ final class Test262Test extends TestCase
         return self::loadKind('assertInstant');
     }
 
+    /** @return array<string, array<int, mixed>> */
+    public static function zonedDateTimeAssertions(): array
+    {
+        $cases = self::loadKind('assertZonedDateTime');
+
+        // PHPUnit rejects an empty data provider
+        return $cases !== [] ? $cases : ['no ZonedDateTime fixtures' => ['', [], '', '']];
+    }
+
+    /** @return array<string, array<int, mixed>> */
+    public static function serializationAssertions(): array
+    {
+        $cases = [];
+        foreach (self::loadKind('sameValue') as $key => [, $expected, $description, $call]) {
+            if (in_array($call['method'] ?? null, self::SERIALIZERS, true)) {
+                $cases[$key] = [$expected, $call, $description];
+            }
+        }
+
+        // PHPUnit rejects an empty data provider
+        return $cases !== [] ? $cases : ['no toString()/toJSON() cases' => ['', [], '']];
+    }
+
+    /** @return array<string, array{string, array<string, mixed>, string, string}> */
+    public static function throwsAssertions(): array
+    {
+        $cases = self::loadKind('throws');
+
+        // PHPUnit rejects an empty data provider
+        return $cases !== [] ? $cases : ['no assert.throws() cases' => ['', [], '', '']];
+    }
+
     // ── Tests ─────────────────────────────────────────────────────────────────
 
     /**
      * Parse a PlainDate ISO string and verify year/month/day.
-     * Skipped if the fixture's actual string is inconsistent with expected fields
-     * (can happen due to Number.MAX_SAFE_INTEGER precision issues in the JS polyfill).
+     * Fields are compared in the date's own calendar, so `2020-01-01[u-ca=buddhist]`
+     * is expected to be year 2563.
      *
-     * @param array<string, int> $expected
+     * @param array<string, int|string> $expected
      */
     #[DataProvider('plainDateAssertions')]
     public function testPlainDateAssertion(string $actual, array $expected, string $description): void
     {
-        try {
-            $date = PlainDate::from($actual);
-        } catch (\Throwable $e) {
-            self::markTestSkipped("Could not parse '{$actual}': {$e->getMessage()}");
-        }
-
-        // Skip if polyfill actual is inconsistent with expected (JS precision bug)
-        if (
-            $date->year !== $expected['year']
-            || $date->month !== $expected['month']
-            || $date->day !== $expected['day']
-        ) {
-            $parsed = "{$date->year}-{$date->month}-{$date->day}";
-            $exp = "{$expected['year']}-{$expected['month']}-{$expected['day']}";
-            self::markTestSkipped("Fixture inconsistency: actual '{$actual}' parses to {$parsed}, expected {$exp}");
-        }
+        $date = self::parseActual(PlainDate::class, $actual);
 
-        self::assertSame($expected['year'], $date->year, "year in: $description");
-        self::assertSame($expected['month'], $date->month, "month in: $description");
-        self::assertSame($expected['day'], $date->day, "day in: $description");
+        self::assertPlainDateFields($expected, $date, $description);
     }
 
     /**
      * Parse a PlainTime ISO string and verify all 6 sub-day fields.
-     * Skipped if the fixture's actual string is inconsistent with expected fields.
      *
      * @param array<string, int> $expected
      */
     #[DataProvider('plainTimeAssertions')]
     public function testPlainTimeAssertion(string $actual, array $expected, string $description): void
     {
-        try {
-            $time = PlainTime::from($actual);
-        } catch (\Throwable $e) {
-            self::markTestSkipped("Could not parse '{$actual}': {$e->getMessage()}");
-        }
+        $time = self::parseActual(PlainTime::class, $actual);
 
-        // Skip if polyfill actual is inconsistent with expected fields
-        if (
-            $time->hour !== $expected['hour']
-            || $time->minute !== $expected['minute']
-            || $time->second !== $expected['second']
-            || $time->millisecond !== $expected['millisecond']
-            || $time->microsecond !== $expected['microsecond']
-            || $time->nanosecond !== $expected['nanosecond']
-        ) {
-            self::markTestSkipped("Fixture inconsistency: actual '{$actual}' parses to different fields than expected");
-        }
-
-        self::assertSame($expected['hour'], $time->hour, "hour in: $description");
-        self::assertSame($expected['minute'], $time->minute, "minute in: $description");
-        self::assertSame($expected['second'], $time->second, "second in: $description");
-        self::assertSame($expected['millisecond'], $time->millisecond, "millisecond in: $description");
-        self::assertSame($expected['microsecond'], $time->microsecond, "microsecond in: $description");
-        self::assertSame($expected['nanosecond'], $time->nanosecond, "nanosecond in: $description");
+        self::assertPlainTimeFields($expected, $time, $description);
     }
 
     /**
      * Parse a PlainDateTime ISO string and verify all 9 fields.
-     * Skipped if the fixture's actual string is inconsistent with expected fields.
      *
-     * @param array<string, int> $expected
+     * @param array<string, int|string> $expected
      */
     #[DataProvider('plainDateTimeAssertions')]
     public function testPlainDateTimeAssertion(string $actual, array $expected, string $description): void
     {
-        try {
-            $dt = PlainDateTime::from($actual);
-        } catch (\Throwable $e) {
-            self::markTestSkipped("Could not parse '{$actual}': {$e->getMessage()}");
-        }
+        $dt = self::parseActual(PlainDateTime::class, $actual);
 
-        // Skip if polyfill actual is inconsistent with expected fields
-        if ($dt->year !== $expected['year'] || $dt->month !== $expected['month'] || $dt->day !== $expected['day']) {
-            self::markTestSkipped("Fixture inconsistency: actual '{$actual}' parses to different date than expected");
-        }
-
-        self::assertSame($expected['year'], $dt->year, "year in: $description");
-        self::assertSame($expected['month'], $dt->month, "month in: $description");
-        self::assertSame($expected['day'], $dt->day, "day in: $description");
-        self::assertSame($expected['hour'], $dt->hour, "hour in: $description");
-        self::assertSame($expected['minute'], $dt->minute, "minute in: $description");
-        self::assertSame($expected['second'], $dt->second, "second in: $description");
-        self::assertSame($expected['millisecond'], $dt->millisecond, "millisecond in: $description");
-        self::assertSame($expected['microsecond'], $dt->microsecond, "microsecond in: $description");
-        self::assertSame($expected['nanosecond'], $dt->nanosecond, "nanosecond in: $description");
+        self::assertPlainDateTimeFields($expected, $dt, $description);
     }
 
     /**
-     * Parse a Duration ISO string and verify round-trip via __toString().
+     * Verify a Duration's field values and its serialization.
      *
-     * We do NOT compare individual field values because the ISO Duration string
-     * `PT450305.005S` can legitimately parse to either {seconds:450305,ms:5} or
-     * {ms:450305005} depending on largestUnit — both represent identical durations.
-     * The round-trip test verifies that our parser and serializer are consistent.
+     * The PHP Duration is built from the polyfill's exact decomposition (`state`)
+     * and must carry the expected field values and serialize to the same string.
+     * Fixtures without `state` only get a round-trip: `PT450305.005S` can
+     * legitimately parse to either {seconds:450305,ms:5} or {ms:450305005}.
+     *
+     * @param array<string, int> $expected
+     * @param array<string, int>|null $state
      */
-    #[DataProvider('durationRoundTripAssertions')]
-    public function testDurationRoundTrip(string $actual, string $expected, string $description): void
+    #[DataProvider('durationAssertions')]
+    public function testDurationAssertion(string $actual, array $expected, string $description, ?array $state): void
     {
+        if ($state === null) {
+            $dur = self::parseActual(Duration::class, $actual);
+            self::assertSame($actual, (string) $dur, "round-trip in: $description");
+
+            return;
+        }
+
         try {
-            $dur = Duration::from($actual);
+            $dur = new Duration(...array_intersect_key($state, array_flip(self::DURATION_FIELDS)));
         } catch (\Throwable $e) {
-            self::markTestSkipped("Could not parse Duration '{$actual}': {$e->getMessage()}");
+            self::markTestSkipped("Could not construct Duration '{$actual}': {$e->getMessage()}");
         }
 
-        self::assertSame($actual, (string) $dur, "round-trip in: $description");
+        self::assertDurationFields($expected, $dur, $description);
+        self::assertSame($actual, (string) $dur, "toString in: $description");
     }
 
     /**
-     * Parse a PlainYearMonth ISO string and verify year/month.
+     * Parse a PlainYearMonth ISO string and verify year/month and the calendar
+     * fields. A `[u-ca=…]` annotation is re-applied as for PlainDate (see
+     * parseActual()); calendars PlainYearMonth does not support yet are skipped.
      *
-     * @param array<string, int> $expected
+     * @param array<string, int|string> $expected
      */
     #[DataProvider('plainYearMonthAssertions')]
     public function testPlainYearMonthAssertion(string $actual, array $expected, string $description): void
     {
-        try {
-            $ym = PlainYearMonth::from($actual);
-        } catch (\Throwable $e) {
-            self::markTestSkipped("Could not parse '{$actual}': {$e->getMessage()}");
-        }
+        $ym = self::parseActual(PlainYearMonth::class, $actual);
 
-        self::assertSame($expected['year'], $ym->year, "year in: $description");
-        self::assertSame($expected['month'], $ym->month, "month in: $description");
+        self::assertPlainYearMonthFields($expected, $ym, $description);
     }
 
     /**
-     * Parse a PlainMonthDay ISO string and verify the day field.
-     * (month code matching is skipped — PHP only tracks numeric month)
+     * Parse a PlainMonthDay ISO string and verify the day and month code, with
+     * its `[u-ca=…]` annotation re-applied like PlainYearMonth.
      *
-     * @param array<string, int> $expected
+     * @param array<string, int|string> $expected
      */
     #[DataProvider('plainMonthDayAssertions')]
     public function testPlainMonthDayAssertion(string $actual, array $expected, string $description): void
     {
-        try {
-            $md = PlainMonthDay::from($actual);
-        } catch (\Throwable $e) {
-            self::markTestSkipped("Could not parse '{$actual}': {$e->getMessage()}");
-        }
+        $md = self::parseActual(PlainMonthDay::class, $actual);
 
-        self::assertSame($expected['day'], $md->day, "day in: $description");
+        self::assertPlainMonthDayFields($expected, $md, $description);
     }
 
     /**
@@ -248,18 +264,220 @@ final class Test262Test extends TestCase
     #[DataProvider('instantAssertions')]
     public function testInstantAssertion(string $actual, string $expected, string $description): void
     {
+        $instant = self::parseActual(Instant::class, $actual);
+
+        // Verify that the parsed instant re-serializes to the expected string
+        self::assertSame($expected, (string) $instant, "toString in: $description");
+    }
+
+    /**
+     * Parse a ZonedDateTime string and verify zone, offset and epoch nanoseconds.
+     *
+     * @param array<string, string> $expected
+     */
+    #[DataProvider('zonedDateTimeAssertions')]
+    public function testZonedDateTimeAssertion(
+        string $actual,
+        array $expected,
+        string $description,
+        string $tzdata
+    ): void {
+        if ($actual === '') {
+            self::markTestSkipped('No ZonedDateTime cases extracted yet (node tools/extract-test262.mjs --sync).');
+        }
+
+        $drift = self::tzdataDrift($tzdata);
+
         try {
-            $instant = Instant::from($actual);
+            $zdt = ZonedDateTime::from($actual);
         } catch (\Throwable $e) {
-            self::markTestSkipped("Could not parse Instant '{$actual}': {$e->getMessage()}");
+            self::markTestSkipped("Could not parse ZonedDateTime '{$actual}': {$e->getMessage()}{$drift}");
         }
 
-        // Verify that the parsed instant re-serializes to the expected string
-        self::assertSame($expected, (string) $instant, "toString in: $description");
+        self::assertZonedDateTimeFields($expected, $zdt, $description . $drift);
+    }
+
+    /**
+     * Replay a toString()/toJSON() call, options included, and compare the string.
+     * PHP serializes through __toString()/jsonSerialize(), which take no options,
+     * so calls with formatting options are reported as incomplete (a known gap),
+     * not skipped.
+     *
+     * @param array<string, mixed> $call
+     */
+    #[DataProvider('serializationAssertions')]
+    public function testSerializationAssertion(string $expected, array $call, string $description): void
+    {
+        if ($call === []) {
+            self::markTestSkipped('No toString()/toJSON() cases extracted yet (extract-test262.mjs --sync).');
+        }
+
+        try {
+            $actual = CallReplayer::replay($call);
+        } catch (UnreplayableCallException $e) {
+            if (( $call['options'] ?? [] ) !== []) {
+                self::markTestIncomplete("Known gap: {$e->getMessage()}");
+            }
+            self::markTestSkipped($e->getMessage());
+        }
+
+        self::assertSame($expected, $actual, "{$call['method']} in: $description");
+    }
+
+    /**
+     * Replay an assert.throws() call and expect the mapped PHP exception.
+     *
+     * @param array<string, mixed> $call
+     */
+    #[DataProvider('throwsAssertions')]
+    public function testThrowsAssertion(string $exception, array $call, string $description, string $error): void
+    {
+        if ($call === []) {
+            self::markTestSkipped('No assert.throws() cases extracted yet (node tools/extract-test262.mjs --sync).');
+        }
+        if ($exception === '' || !is_a($exception, \Throwable::class, true)) {
+            self::markTestSkipped("No PHP exception mapped for {$error} (tools/test262-exceptions.json)");
+        }
+
+        try {
+            self::assertThrowsException($exception, static fn(): mixed => CallReplayer::replay($call), $description);
+        } catch (UnreplayableCallException $e) {
+            self::markTestSkipped($e->getMessage());
+        }
+    }
+
+    // ── Inline cases ──────────────────────────────────────────────────────────
+    //
+    // The committed fixtures predate `state` and the calendar fields, so none of
+    // them reaches the Duration decomposition path or assertCalendarFields(). These
+    // rows are written in the fixture format to keep both paths exercised until a
+    // re-extraction against tc39/test262 brings real ones.
+
+    /**
+     * Both decompositions of one duration string pass through `state`.
+     *
+     * @return array<string, array{string, array<string, int>, string, array<string, int>}>
+     */
+    public static function inlineDurationStates(): array
+    {
+        $seconds = ['seconds' => 450305, 'milliseconds' => 5] + array_fill_keys(self::DURATION_FIELDS, 0);
+        $milliseconds = ['milliseconds' => 450305005] + array_fill_keys(self::DURATION_FIELDS, 0);
+
+        return [
+            'seconds and milliseconds' => [
+                'PT450305.005S',
+                $seconds,
+                'seconds decomposition',
+                $seconds + ['sign' => 1],
+            ],
+            'milliseconds only' => ['PT450305.005S', $milliseconds, 'milliseconds decomposition', $milliseconds],
+        ];
+    }
+
+    /**
+     * @param array<string, int> $expected
+     * @param array<string, int> $state
+     */
+    #[DataProvider('inlineDurationStates')]
+    public function testInlineDurationState(string $actual, array $expected, string $description, array $state): void
+    {
+        $this->testDurationAssertion($actual, $expected, $description, $state);
+    }
+
+    public function testInlineDurationStateMismatchFails(): void
+    {
+        $expected = ['milliseconds' => 450305005] + array_fill_keys(self::DURATION_FIELDS, 0);
+
+        $this->expectException(ExpectationFailedException::class);
+        $this->testDurationAssertion('PT450305.005S', $expected, 'wrong decomposition', [
+            'seconds' => 450305,
+            'milliseconds' => 5,
+        ]);
+    }
+
+    /**
+     * Calendar fields as the extractor records them for non-ISO dates.
+     *
+     * @return array<string, array{string, array<string, int|string>, string}>
+     */
+    public static function inlineCalendarFields(): array
+    {
+        $buddhist = ['year' => 2563, 'month' => 1, 'day' => 1, 'monthCode' => 'M01', 'calendarId' => 'buddhist'];
+        $roc = ['year' => 109, 'month' => 1, 'day' => 1, 'monthCode' => 'M01', 'calendarId' => 'roc'];
+
+        return [
+            'buddhist' => ['2020-01-01[u-ca=buddhist]', $buddhist + ['era' => 'be', 'eraYear' => 2563], 'buddhist'],
+            'roc' => ['2020-01-01[u-ca=roc]', $roc + ['era' => 'roc', 'eraYear' => 109], 'roc'],
+        ];
+    }
+
+    /** @param array<string, int|string> $expected */
+    #[DataProvider('inlineCalendarFields')]
+    public function testInlineCalendarFields(string $actual, array $expected, string $description): void
+    {
+        $this->testPlainDateAssertion($actual, $expected, $description);
+        $this->testPlainDateTimeAssertion(
+            str_replace('[', 'T00:00:00[', $actual),
+            $expected + array_fill_keys(['hour', 'minute', 'second', 'millisecond', 'microsecond', 'nanosecond'], 0),
+            $description,
+        );
+    }
+
+    public function testInlineYearMonthAndMonthDayCalendarFields(): void
+    {
+        $fields = ['monthCode' => 'M05', 'calendarId' => 'iso8601'];
+
+        $this->testPlainYearMonthAssertion('2020-05', ['year' => 2020, 'month' => 5] + $fields, 'ym');
+        $this->testPlainMonthDayAssertion('05-01', ['day' => 1] + $fields, 'md');
+    }
+
+    public function testInlineCalendarFieldMismatchFails(): void
+    {
+        $this->expectException(ExpectationFailedException::class);
+        $this->testPlainDateAssertion(
+            '2020-01-01[u-ca=buddhist]',
+            ['year' => 2563, 'month' => 1, 'day' => 1, 'era' => 'ce'],
+            'wrong era',
+        );
     }
 
     // ── Fixture loading helpers ───────────────────────────────────────────────
 
+    /**
+     * Describe a mismatch between the fixture's tzdata version (ICU style,
+     * e.g. "2024a") and PHP's bundled one (reported as e.g. "2024.1").
+     * Returns an empty string when they agree or the fixture has no version.
+     */
+    private static function tzdataDrift(string $fixtureVersion): string
+    {
+        $phpVersion = timezone_version_get();
+        if (preg_match('/^(\d{4})\.(\d+)$/', $phpVersion, $m) === 1) {
+            $phpVersion = $m[1] . chr(ord('a') + (int) $m[2] - 1);
+        }
+
+        if ($fixtureVersion === '' || $fixtureVersion === $phpVersion) {
+            return '';
+        }
+
+        return " (possible tzdata drift: fixture {$fixtureVersion}, PHP {$phpVersion})";
+    }
+
+    /**
+     * @param array<mixed> $fields
+     * @return array<string, int>
+     */
+    private static function intFields(array $fields): array
+    {
+        $ints = [];
+        foreach ($fields as $field => $value) {
+            if (is_int($value) || is_float($value)) {
+                $ints[(string) $field] = (int) $value;
+            }
+        }
+
+        return $ints;
+    }
+
     /**
      * Load all assertions of a given kind from the fixture directory.
      * Returns a flat map of test-key → [actual, expected, description].
@@ -284,6 +502,7 @@ final class Test262Test extends TestCase
             }
             $fixtureType = (string) ( $data['type'] ?? '' );
             $fixtureMethod = (string) ( $data['method'] ?? '' );
+            $tzdata = (string) ( $data['tzdata'] ?? '' );
 
             foreach ((array) ( $data['cases'] ?? [] ) as $testCase) {
                 $sourceFile = basename((string) ( $testCase['file'] ?? $file ));
@@ -296,27 +515,47 @@ final class Test262Test extends TestCase
                     $actual = (string) ( $assertion['actual'] ?? '' );
                     $expected = $assertion['expected'] ?? '';
                     $desc = (string) ( $assertion['description'] ?? "#{$idx}" );
+                    $key = "{$fixtureType}.{$fixtureMethod}/{$sourceFile}[{$idx}]: {$desc}";
+
+                    // throws cases have no `actual`, only the call and the error it raised
+                    if ($kind === 'throws') {
+                        if (is_array($assertion['call'] ?? null)) {
+                            $exception = (string) ( $assertion['exception'] ?? '' );
+                            $error = (string) ( $assertion['error'] ?? '' );
+                            $cases[$key] = [$exception, $assertion['call'], $desc, $error];
+                        }
+                        continue;
+                    }
 
                     // Skip empty strings
                     if ($actual === '') {
                         continue;
                     }
 
-                    $key = "{$fixtureType}.{$fixtureMethod}/{$sourceFile}[{$idx}]: {$desc}";
-
                     if ($kind === 'assertDuration') {
-                        // Duration: only store the actual ISO string for round-trip testing
-                        $cases[$key] = [$actual, $actual, $desc];
+                        if (!is_array($expected)) {
+                            continue;
+                        }
+                        $state = is_array($assertion['state'] ?? null) ? self::intFields($assertion['state']) : null;
+                        $cases[$key] = [$actual, self::intFields($expected), $desc, $state];
                     } elseif ($kind === 'assertInstant') {
                         $cases[$key] = [$actual, (string) $expected, $desc];
+                    } elseif ($kind === 'assertZonedDateTime') {
+                        if (!is_array($expected)) {
+                            continue;
+                        }
+                        $cases[$key] = [$actual, array_map(strval(...), $expected), $desc, $tzdata];
                     } elseif ($kind === 'sameValue') {
-                        $cases[$key] = [$actual, (string) $expected, $desc];
+                        $cases[$key] = [$actual, (string) $expected, $desc, (array) ( $assertion['call'] ?? [] )];
                     } else {
                         if (!is_array($expected)) {
                             continue;
                         }
-                        // Normalise all expected values to int
-                        $normalised = array_map(static fn(mixed $v): int => (int) $v, $expected);
+                        // Normalise numeric expected values to int; monthCode, calendarId and era stay strings
+                        $normalised = array_map(
+                            static fn(mixed $v): int|string => is_string($v) ? $v : (int) $v,
+                            $expected
+                        );
                         $cases[$key] = [$actual, $normalised, $desc];
                     }
                 }
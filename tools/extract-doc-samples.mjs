@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * Docs code samples → snapshot fixtures for tests/DocSamplesTest.php
+ *
+ * Collects the fenced ```php blocks of every hand-written docs page
+ * (docs/src/content/docs/**, and docs/src/api-prose/*.md for the generated
+ * API reference pages) and writes one fixture per page to
+ * tests/fixtures/docs/, e.g. concepts/overflow.md → concepts.overflow.json.
+ * The PHP test runs a page's blocks in order in one shared scope, the way a
+ * reader follows them, so a block may use variables and imports from the
+ * blocks before it. Any uncaught exception or PHP warning fails the page.
+ *
+ * A statement on a single line can document its result in a trailing comment:
+ *
+ *   echo $date->add(['months' => 1]); // => 2025-02-28
+ *   PlainDate::compare($a, $b);       // => -1 (a is before b)
+ *   $date->add($d, 'reject');          // => throws ArithmeticError
+ *
+ * For echo/print/var_dump/print_r statements the printed output is compared,
+ * otherwise the statement's value: strings and Stringable objects as text,
+ * anything else JSON-encoded. A trailing `(…)` or ` — …` remark is not part of
+ * the expected value. `throws` names the exception class, resolved through the
+ * page's `use` imports and then Temporal\Exception\; the thrown exception must
+ * be an instance of it. Comments without `=>` are prose and are not checked,
+ * so results that are not reproducible (Now, e.g. values) stay unannotated.
+ *
+ * Usage: node tools/extract-doc-samples.mjs [--check]
+ *
+ * --check writes nothing and exits 1 when a fixture is out of date.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, unlinkSync, existsSync } from 'fs';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const CONTENT_DIR = join(ROOT, 'docs/src/content/docs');
+const API_PROSE_DIR = join(ROOT, 'docs/src/api-prose');
+const EXCEPTION_DIR = join(ROOT, 'src/Exception');
+const OUT_DIR = join(ROOT, 'tests/fixtures/docs');
+
+const CHECK = process.argv.slice(2).includes('--check');
+
+// Statements whose annotation describes what they print, not their value
+const PRINTING = /^(echo\b|print\b|var_dump\s*\(|print_r\s*\()/;
+const ANNOTATION = /^(?<statement>.*;)\s*\/\/\s*=>\s*(?<expected>.*)$/;
+const IMPORT = /^use\s+([\w\\]+)(?:\s+as\s+(\w+))?\s*;/;
+
+// ── Pages ─────────────────────────────────────────────────────────────────────
+
+function walk(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? walk(path) : [path];
+  });
+}
+
+/**
+ * Hand-written pages with the slug they are published under. Pages the docs
+ * build generates (API reference, conformance) start with a "Generated"
+ * comment and are read from their prose instead, or not at all.
+ */
+function discoverPages() {
+  const pages = walk(CONTENT_DIR)
+    .filter(path => /\.mdx?$/.test(path))
+    .filter(path => !/^(---\n[\s\S]*?\n---\n\s*)?<!-- Generated/.test(readFileSync(path, 'utf8')))
+    .map(path => ({ path, slug: relative(CONTENT_DIR, path).replace(/\.mdx?$/, '') }));
+  if (existsSync(API_PROSE_DIR)) {
+    for (const name of readdirSync(API_PROSE_DIR).filter(f => f.endsWith('.md'))) {
+      pages.push({ path: join(API_PROSE_DIR, name), slug: `api/${name.replace(/\.md$/, '')}` });
+    }
+  }
+  return pages.sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+// ── Samples ───────────────────────────────────────────────────────────────────
+
+/** Fenced php blocks of a Markdown page, with the page line of their first code line. */
+function phpBlocks(markdown) {
+  const blocks = [];
+  let open = null;
+  markdown.split('\n').forEach((text, i) => {
+    const fence = text.match(/^(\s*)(`{3,}|~{3,})\s*(\S*)/);
+    if (open) {
+      if (fence && fence[2].startsWith(open.marker) && fence[3] === '') {
+        if (!open.skip) blocks.push({ line: open.line, code: open.lines.join('\n') });
+        open = null;
+      } else {
+        open.lines.push(text.startsWith(open.indent) ? text.slice(open.indent.length) : text.trimStart());
+      }
+    } else if (fence && fence[3] === 'php') {
+      open = { marker: fence[2], indent: fence[1], line: i + 2, lines: [] };
+    } else if (fence) {
+      open = { marker: fence[2], indent: fence[1], line: i + 2, lines: [], skip: true };
+    }
+  });
+  return blocks;
+}
+
+/** Expected text of an annotation, without a trailing `(…)` or ` — …` remark. */
+function expectedValue(text) {
+  return text.replace(/\s+—\s.*$/, '').replace(/\s+\([^()]*\)$/, '').trim();
+}
+
+function exceptionClass(name, imports) {
+  const short = name.replace(/^\\/, '');
+  if (name.startsWith('\\') || short.includes('\\')) return short;
+  if (imports.has(short)) return imports.get(short);
+  if (existsSync(join(EXCEPTION_DIR, `${short}.php`))) return `Temporal\\Exception\\${short}`;
+  return short;
+}
+
+/**
+ * The fixture for one page, or null if it has no php blocks. Malformed
+ * annotations are collected in `errors` as `path:line: message`.
+ */
+function extractPage(page, errors) {
+  const markdown = readFileSync(page.path, 'utf8');
+  const blocks = phpBlocks(markdown);
+  if (blocks.length === 0) return null;
+
+  const imports = new Map();
+  for (const block of blocks) {
+    for (const text of block.code.split('\n')) {
+      const use = text.trim().match(IMPORT);
+      if (use) imports.set(use[2] ?? use[1].split('\\').at(-1), use[1].replace(/^\\/, ''));
+    }
+  }
+
+  const where = line => `${relative(ROOT, page.path)}:${line}`;
+  return {
+    page: relative(ROOT, page.path),
+    slug: page.slug,
+    imports: [...new Set(imports.values())].sort(),
+    blocks: blocks.map(block => ({
+      line: block.line,
+      code: block.code,
+      checks: block.code.split('\n').flatMap((text, i) => {
+        const line = block.line + i;
+        if (!/\/\/\s*=>/.test(text) || text.trim().startsWith('//')) return [];
+        const match = text.trim().match(ANNOTATION);
+        if (!match) {
+          errors.push(`${where(line)}: \`// =>\` must follow a complete one-line statement`);
+          return [];
+        }
+        const { statement, expected } = match.groups;
+        const throws = expected.match(/^throws\s+(\\?[\w\\]+)/);
+        if (throws) return [{ line, statement, expect: 'throws', value: exceptionClass(throws[1], imports) }];
+        if (expectedValue(expected) === '') {
+          errors.push(`${where(line)}: \`// =>\` without an expected value`);
+          return [];
+        }
+        const expect = PRINTING.test(statement) ? 'output' : 'value';
+        return [{ line, statement, expect, value: expectedValue(expected) }];
+      }),
+    })),
+  };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+const errors = [];
+const planned = new Map();
+for (const page of discoverPages()) {
+  const fixture = extractPage(page, errors);
+  if (fixture) planned.set(`${page.slug.replaceAll('/', '.')}.json`, fixture);
+}
+if (errors.length > 0) {
+  for (const error of errors) console.error(error);
+  process.exit(1);
+}
+
+const onDisk = existsSync(OUT_DIR) ? readdirSync(OUT_DIR).filter(f => f.endsWith('.json')) : [];
+for (const file of onDisk) {
+  if (!planned.has(file)) planned.set(file, null);
+}
+
+const counts = { added: 0, updated: 0, pruned: 0, unchanged: 0 };
+let checks = 0;
+for (const [file, fixture] of [...planned].sort(([a], [b]) => a.localeCompare(b))) {
+  const path = join(OUT_DIR, file);
+  const before = existsSync(path) ? readFileSync(path, 'utf8') : null;
+  const after = fixture ? `${JSON.stringify(fixture, null, 2)}\n` : null;
+  checks += fixture ? fixture.blocks.reduce((n, b) => n + b.checks.length, 0) : 0;
+  if (before === after) {
+    counts.unchanged++;
+    continue;
+  }
+
+  const status = before === null ? 'added' : after === null ? 'pruned' : 'updated';
+  counts[status]++;
+  console.log(`${{ added: '+', updated: '~', pruned: '-' }[status]} ${file} (${status})`);
+  if (CHECK) continue;
+  mkdirSync(OUT_DIR, { recursive: true });
+  if (after === null) unlinkSync(path);
+  else writeFileSync(path, after);
+}
+
+console.log(`\n${planned.size - counts.pruned} page(s), ${checks} annotated statement(s): `
+  + `${counts.added} added, ${counts.updated} updated, ${counts.pruned} pruned, ${counts.unchanged} unchanged.`);
+if (CHECK && counts.added + counts.updated + counts.pruned > 0) {
+  console.log('Docs samples are out of date — run `node tools/extract-doc-samples.mjs`.');
+  process.exit(1);
+}
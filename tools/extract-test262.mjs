@@ -4,335 +4,291 @@
  *
  * Runs test262 Temporal test files in a Node.js VM using the @js-temporal/polyfill,
  * captures TemporalHelpers.assertXxx calls, and writes JSON fixtures to tests/fixtures/.
+ * Each captured assertion carries the Temporal call that produced its actual
+ * value (receiver, method, arguments and options), so fixtures describe
+ * input → output pairs rather than bare results. Assertions on a Temporal
+ * object also record its `state` field by field (calendarId, monthCode,
+ * era/eraYear, a Duration's exact decomposition), which its string form loses.
+ * assert.throws() cases are kept too, with the JS error and the PHP exception
+ * it maps to via tools/test262-exceptions.json. Fixtures whose results depend on time zone
+ * data are stamped with the tzdata version the polyfill ran against.
+ * Assertions whose `actual` disagrees with their `expected` fields go to the
+ * fixture's `quarantined` section, with the reason, instead of `cases`.
+ * Files are classified from their frontmatter and AST before running; every
+ * skip is counted under a machine-readable reason. Each file runs in a pool of
+ * worker threads (tools/test262-pool.mjs, `--jobs`), so a file that exceeds
+ * `--timeout` or crashes its worker is skipped as `runtime-timeout` or
+ * `runtime-crash` instead of stalling the run. Results are merged in target
+ * and file order, so the output is the same for any number of jobs.
  *
- * Usage: node tools/extract-test262.mjs [--target PlainDate] [--verbose]
+ * By default new cases are merged into existing fixtures. `--sync` regenerates
+ * fixtures deterministically (adding, updating and pruning cases) and stamps
+ * them with the test262 commit and polyfill version; `--check` does the same
+ * in memory, prints a diff and exits non-zero if anything would change.
+ * `--report` writes a per type/method/esid coverage table (see
+ * tools/test262-report.mjs) and, unless combined with `--sync`, leaves the
+ * fixtures untouched. Per-file results are cached by content hash in
+ * .cache/, so only new or changed test files are run again; `--since=<ref>`
+ * further limits a run to the targets with files changed in the test262
+ * checkout since that git ref. A report needs every target, so `--since` and
+ * `--report` cannot be combined.
+ *
+ * Usage: node tools/extract-test262.mjs [--target=PlainDate|PlainDate.add] [--sync | --check]
+ *        [--report[=<prefix>] [--compare=<old.json>]] [--exceptions=path.json] [--tzdata=<icu-zoneinfo-dir>]
+ *        [--jobs=<n>] [--timeout=<ms>] [--since=<git-ref>] [--no-cache] [--verbose]
  */
 
-import { readFileSync, writeFileSync, mkdirSync, readdirSync, statSync } from 'fs';
-import { join, dirname, relative, basename } from 'path';
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, unlinkSync, existsSync } from 'fs';
+import { join, dirname, relative, basename, resolve } from 'path';
 import { fileURLToPath } from 'url';
-import { createRequire } from 'module';
-import vm from 'vm';
-
-const require = createRequire(import.meta.url);
-const { Temporal } = require('@js-temporal/polyfill');
+import { spawnSync } from 'child_process';
+import { createHash } from 'crypto';
+import { availableParallelism } from 'os';
+import { buildReport, compareReports, formatChanges, renderMarkdown } from './test262-report.mjs';
+import { startWorkerPool } from './test262-pool.mjs';
+import { SUPPORTED_INCLUDES } from './test262-runner.mjs';
+import { TARGET_CONFIG, discoverTargets, walkDir, matchesTarget } from './test262-targets.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
-const TEST262_DIR = join(ROOT, 'tests/test262/test/built-ins/Temporal');
+const TEST262_DIR = join(ROOT, 'tests/test262');
 const FIXTURES_DIR = join(ROOT, 'tests/fixtures');
 
 const args = process.argv.slice(2);
 const VERBOSE = args.includes('--verbose');
 const targetArg = args.find(a => a.startsWith('--target='))?.split('=')[1] ?? null;
-
-// ── Targets: which subdirectories and methods to extract ─────────────────────
-const TARGETS = [
-  { dir: 'PlainDate/prototype/add',          type: 'PlainDate',      method: 'add' },
-  { dir: 'PlainDate/prototype/subtract',     type: 'PlainDate',      method: 'subtract' },
-  { dir: 'PlainDate/prototype/with',         type: 'PlainDate',      method: 'with' },
-  { dir: 'PlainDate/prototype/until',        type: 'PlainDate',      method: 'until' },
-  { dir: 'PlainDate/prototype/since',        type: 'PlainDate',      method: 'since' },
-  { dir: 'PlainDate/prototype/equals',       type: 'PlainDate',      method: 'equals' },
-  { dir: 'PlainDate/from',                   type: 'PlainDate',      method: 'from' },
-  { dir: 'PlainTime/prototype/add',          type: 'PlainTime',      method: 'add' },
-  { dir: 'PlainTime/prototype/subtract',     type: 'PlainTime',      method: 'subtract' },
-  { dir: 'PlainTime/prototype/with',         type: 'PlainTime',      method: 'with' },
-  { dir: 'PlainTime/prototype/until',        type: 'PlainTime',      method: 'until' },
-  { dir: 'PlainTime/prototype/since',        type: 'PlainTime',      method: 'since' },
-  { dir: 'PlainTime/prototype/equals',       type: 'PlainTime',      method: 'equals' },
-  { dir: 'PlainTime/from',                   type: 'PlainTime',      method: 'from' },
-  { dir: 'PlainDateTime/prototype/add',      type: 'PlainDateTime',  method: 'add' },
-  { dir: 'PlainDateTime/prototype/subtract', type: 'PlainDateTime',  method: 'subtract' },
-  { dir: 'PlainDateTime/prototype/with',     type: 'PlainDateTime',  method: 'with' },
-  { dir: 'PlainDateTime/prototype/until',    type: 'PlainDateTime',  method: 'until' },
-  { dir: 'PlainDateTime/prototype/since',    type: 'PlainDateTime',  method: 'since' },
-  { dir: 'PlainDateTime/prototype/equals',   type: 'PlainDateTime',  method: 'equals' },
-  { dir: 'PlainDateTime/from',               type: 'PlainDateTime',  method: 'from' },
-  { dir: 'Duration/prototype/add',           type: 'Duration',       method: 'add' },
-  { dir: 'Duration/prototype/subtract',      type: 'Duration',       method: 'subtract' },
-  { dir: 'Duration/prototype/round',         type: 'Duration',       method: 'round' },
-  { dir: 'Duration/prototype/total',         type: 'Duration',       method: 'total' },
-  { dir: 'Duration/prototype/negated',       type: 'Duration',       method: 'negated' },
-  { dir: 'Duration/prototype/abs',           type: 'Duration',       method: 'abs' },
-  { dir: 'Duration/prototype/with',          type: 'Duration',       method: 'with' },
-  { dir: 'Duration/from',                    type: 'Duration',       method: 'from' },
-  { dir: 'Instant/prototype/add',            type: 'Instant',        method: 'add' },
-  { dir: 'Instant/prototype/subtract',       type: 'Instant',        method: 'subtract' },
-  { dir: 'Instant/prototype/until',          type: 'Instant',        method: 'until' },
-  { dir: 'Instant/prototype/since',          type: 'Instant',        method: 'since' },
-  { dir: 'Instant/prototype/round',          type: 'Instant',        method: 'round' },
-  { dir: 'Instant/prototype/equals',         type: 'Instant',        method: 'equals' },
-  { dir: 'Instant/from',                     type: 'Instant',        method: 'from' },
-  { dir: 'PlainYearMonth/prototype/add',     type: 'PlainYearMonth', method: 'add' },
-  { dir: 'PlainYearMonth/prototype/subtract',type: 'PlainYearMonth', method: 'subtract' },
-  { dir: 'PlainYearMonth/prototype/until',   type: 'PlainYearMonth', method: 'until' },
-  { dir: 'PlainYearMonth/prototype/since',   type: 'PlainYearMonth', method: 'since' },
-  { dir: 'PlainYearMonth/prototype/equals',  type: 'PlainYearMonth', method: 'equals' },
-  { dir: 'PlainYearMonth/from',              type: 'PlainYearMonth', method: 'from' },
-  { dir: 'PlainMonthDay/prototype/equals',   type: 'PlainMonthDay',  method: 'equals' },
-  { dir: 'PlainMonthDay/from',               type: 'PlainMonthDay',  method: 'from' },
-];
-
-// ── Skip list: files that test JS-specific internals ─────────────────────────
-const SKIP_PATTERNS = [
-  'prop-desc', 'builtin', 'branding', 'length', 'name', 'not-a-constructor',
-  'subclassing', 'order-of-operations', 'options-read-before', 'calendar-temporal-object',
-  'argument-not-object', 'argument-propertybag', 'argument-invalid-property',
-  'argument-singular', 'infinity', 'float64', 'result-out-of-range',
-  'out-of-range-when', 'precision-exact', 'total-duration-nanoseconds-too-large',
-  'non-integer', 'roundingincrement-nan', 'roundingincrement-non-integer',
-  'roundingincrement-out-of-range', 'roundingincrement-wrong-type', 'roundingincrement-undefined',
-  'roundingincrement-valid', 'throws-on-wrong-offset', 'throws-if-neither',
-  'options-wrong-type', 'wrong-type', 'options-undefined', 'options-object',
-  'does-not-balance-up-to-weeks', 'bubble-time-unit', 'next-day-out-of-range',
-  'relativeto-propertybag', 'relativeto-string-invalid', 'relativeto-string-limits',
-  'relativeto-string-wrong-offset', 'relativeto-argument-propertybag', 'relativeto-argument-string',
-  'relativeto-number', 'relativeto-infinity', 'relativeto-wrong-type',
-  'relativeto-zoneddatetime', 'relativeto-propertybag', 'calendar-possibly-required',
-  'days-24-hours', 'argument-mixed-sign', 'argument-duration-out-of-range',
-  'argument-duration-max', 'argument-string-invalid', 'argument-string-negative',
-  'overflow-invalid', 'overflow-wrong-type', 'overflow-undefined', 'overflow-options',
-  'overflow-read', 'largestunit-wrong-type', 'largestunit-invalid', 'largestunit-undefined',
-  'smallestunit-wrong-type', 'smallestunit-invalid', 'smallestunit-undefined',
-  'roundingmode-wrong-type', 'roundingmode-invalid', 'calendar-invalid',
-  'relativeto-no-fractional', 'relativeto-leap-second', 'relativeto-sub-minute',
-  'blank-duration', 'durations-do-not-balance', 'limits', 'leap-year-arithmetic',
-  'relativeto-date-limits', 'relativeto-duration-out-of-range', 'relativeto-required-properties',
-  'relativeto-required-to-round', 'relativeto-required-for-rounding',
-  'relativeto-undefined-throw', 'relativeto-ignores', 'relativeto-casts',
-  'roundto-invalid', 'singular-units', 'smallestunit-plurals', 'largestunit-plurals',
-  'smallestunit-string-shorthand', 'succeeds-with-largest-unit-auto',
-  'year-zero', 'relativeto-string.js', 'relativeto-days-24-hours',
-  'argument-not-object', 'argument-propertybag-optional', 'argument-propertybag-no',
-  'balance-negative-result', 'balance-subseconds',
-  'round-and-balance-calendar-units-with-increment-disallowed',
-];
-
-function shouldSkip(filename) {
-  const base = basename(filename, '.js');
-  return SKIP_PATTERNS.some(p => base.includes(p));
+const exceptionsArg = args.find(a => a.startsWith('--exceptions='))?.split('=')[1] ?? null;
+const tzdataArg = args.find(a => a.startsWith('--tzdata='))?.split('=')[1] ?? null;
+// --jobs=<n> worker threads (default: one per core); --timeout=<ms> per file
+const JOBS = Number(args.find(a => a.startsWith('--jobs='))?.split('=')[1]) || availableParallelism();
+const TIMEOUT = Number(args.find(a => a.startsWith('--timeout='))?.split('=')[1]) || 5000;
+// --since=<git-ref> (or `--since <git-ref>`) only redoes targets with files
+// changed in the test262 checkout since that ref; --no-cache ignores the cache
+const sinceIdx = args.findIndex(a => a === '--since' || a.startsWith('--since='));
+const sinceArg = sinceIdx < 0 ? null : args[sinceIdx].includes('=') ? args[sinceIdx].split('=')[1] : args[sinceIdx + 1];
+const NO_CACHE = args.includes('--no-cache');
+// --sync rewrites fixtures from scratch (add/update/prune); --check does the
+// same in memory and fails if the committed fixtures would change
+const CHECK = args.includes('--check');
+const SYNC = CHECK || args.includes('--sync');
+// --report[=<path prefix>] writes <prefix>.json and <prefix>.md coverage tables;
+// --compare=<old.json> diffs them against an earlier report
+const reportArg = args.find(a => a === '--report' || a.startsWith('--report='));
+const REPORT = reportArg
+  ? resolve(reportArg.includes('=') ? reportArg.split('=')[1] : join(ROOT, 'tests/test262-coverage'))
+  : null;
+const compareArg = args.find(a => a.startsWith('--compare='))?.split('=')[1] ?? null;
+// A --since run only sees the changed targets, so its report would read as
+// every other target having lost its coverage
+if (sinceArg && (REPORT || compareArg)) {
+  console.error('--report/--compare need every target; run them without --since.');
+  process.exit(1);
 }
 
-// ── Helper for converting Temporal objects to strings ────────────────────────
-function toStr(v) {
-  if (v == null) return null;
-  if (typeof v === 'string') return v;
-  if (typeof v === 'number' || typeof v === 'boolean' || typeof v === 'bigint') return String(v);
-  if (typeof v?.toString === 'function') return v.toString();
-  return String(v);
+// ── tzdata pinning ───────────────────────────────────────────────────────────
+// The polyfill resolves time zones through Node's ICU. ICU only reads
+// ICU_TIMEZONE_FILES_DIR at startup, so `--tzdata=<dir>` (a directory holding
+// zoneinfo64.res & co.) re-runs the extractor with it set. No network needed.
+if (tzdataArg && process.env.ICU_TIMEZONE_FILES_DIR !== resolve(tzdataArg)) {
+  const child = spawnSync(process.execPath, [fileURLToPath(import.meta.url), ...args], {
+    stdio: 'inherit',
+    env: { ...process.env, ICU_TIMEZONE_FILES_DIR: resolve(tzdataArg) },
+  });
+  process.exit(child.status ?? 1);
+}
+const TZDATA_VERSION = process.versions.tz ?? null;
+
+// ── Exception mapping: JS error thrown by the polyfill → expected PHP class ──
+// Loaded by each worker (see tools/test262-runner.mjs)
+const EXCEPTIONS_PATH = exceptionsArg
+  ? join(process.cwd(), exceptionsArg)
+  : join(__dirname, 'test262-exceptions.json');
+
+// ── Fixture sync ──────────────────────────────────────────────────────────────
+const POLYFILL_VERSION = JSON.parse(
+  readFileSync(join(ROOT, 'node_modules/@js-temporal/polyfill/package.json'), 'utf8'),
+).version;
+
+let cachedCommit;
+function test262Commit() {
+  if (cachedCommit === undefined) {
+    const git = spawnSync('git', ['-C', TEST262_DIR, 'rev-parse', 'HEAD'], { encoding: 'utf8' });
+    cachedCommit = git.status === 0 ? git.stdout.trim() : null;
+  }
+  return cachedCommit;
 }
 
-// ── Assertion capture ─────────────────────────────────────────────────────────
-function makeCapture() {
-  const assertions = [];
+function serializeFixture(fixture) {
+  return JSON.stringify(fixture, null, 2);
+}
 
-  function normDuration(y, mo, w, d, h, mi, s, ms, us, ns) {
-    return {
-      years: y ?? 0, months: mo ?? 0, weeks: w ?? 0, days: d ?? 0,
-      hours: h ?? 0, minutes: mi ?? 0, seconds: s ?? 0,
-      milliseconds: ms ?? 0, microseconds: us ?? 0, nanoseconds: ns ?? 0,
-    };
+function readFixture(file) {
+  try {
+    return JSON.parse(readFileSync(join(FIXTURES_DIR, file), 'utf8'));
+  } catch (_) {
+    return null;
   }
+}
 
-  const TemporalHelpers = {
-    assertPlainDate(actual, year, month, _monthCode, day, description) {
-      assertions.push({
-        kind: 'assertPlainDate',
-        actual: toStr(actual),
-        expected: { year, month, day },
-        description: description ?? null,
-      });
-    },
-    assertPlainDatesEqual(actual, expected, description) {
-      assertions.push({
-        kind: 'assertPlainDate',
-        actual: toStr(actual),
-        expected: { year: expected.year, month: expected.month, day: expected.day },
-        description: description ?? null,
-      });
-    },
-    assertPlainTime(actual, h, mi, s, ms, us, ns, description) {
-      assertions.push({
-        kind: 'assertPlainTime',
-        actual: toStr(actual),
-        expected: {
-          hour: h ?? 0, minute: mi ?? 0, second: s ?? 0,
-          millisecond: ms ?? 0, microsecond: us ?? 0, nanosecond: ns ?? 0,
-        },
-        description: description ?? null,
-      });
-    },
-    assertPlainTimesEqual(actual, expected, description) {
-      assertions.push({
-        kind: 'assertPlainTime',
-        actual: toStr(actual),
-        expected: {
-          hour: expected.hour ?? 0, minute: expected.minute ?? 0, second: expected.second ?? 0,
-          millisecond: expected.millisecond ?? 0, microsecond: expected.microsecond ?? 0,
-          nanosecond: expected.nanosecond ?? 0,
-        },
-        description: description ?? null,
-      });
-    },
-    assertPlainDateTime(actual, y, mo, _mc, d, h, mi, s, ms, us, ns, description) {
-      assertions.push({
-        kind: 'assertPlainDateTime',
-        actual: toStr(actual),
-        expected: {
-          year: y, month: mo, day: d,
-          hour: h ?? 0, minute: mi ?? 0, second: s ?? 0,
-          millisecond: ms ?? 0, microsecond: us ?? 0, nanosecond: ns ?? 0,
-        },
-        description: description ?? null,
-      });
-    },
-    assertPlainDateTimesEqual(actual, expected, description) {
-      assertions.push({
-        kind: 'assertPlainDateTime',
-        actual: toStr(actual),
-        expected: {
-          year: expected.year, month: expected.month, day: expected.day,
-          hour: expected.hour ?? 0, minute: expected.minute ?? 0, second: expected.second ?? 0,
-          millisecond: expected.millisecond ?? 0, microsecond: expected.microsecond ?? 0,
-          nanosecond: expected.nanosecond ?? 0,
-        },
-        description: description ?? null,
-      });
-    },
-    assertDuration(actual, y, mo, w, d, h, mi, s, ms, us, ns, description) {
-      assertions.push({
-        kind: 'assertDuration',
-        actual: toStr(actual),
-        expected: normDuration(y, mo, w, d, h, mi, s, ms, us, ns),
-        description: description ?? null,
-      });
-    },
-    assertDurationsEqual(actual, expected, description) {
-      assertions.push({
-        kind: 'assertDuration',
-        actual: toStr(actual),
-        expected: normDuration(
-          expected.years, expected.months, expected.weeks, expected.days,
-          expected.hours, expected.minutes, expected.seconds,
-          expected.milliseconds, expected.microseconds, expected.nanoseconds,
-        ),
-        description: description ?? null,
-      });
-    },
-    assertPlainYearMonth(actual, y, m, _mc, description) {
-      assertions.push({
-        kind: 'assertPlainYearMonth',
-        actual: toStr(actual),
-        expected: { year: y, month: m },
-        description: description ?? null,
-      });
-    },
-    assertPlainMonthDay(actual, _mc, d, description) {
-      assertions.push({
-        kind: 'assertPlainMonthDay',
-        actual: toStr(actual),
-        expected: { day: d },
-        description: description ?? null,
-      });
-    },
-    assertInstantsEqual(actual, expected, description) {
-      assertions.push({
-        kind: 'assertInstant',
-        actual: toStr(actual),
-        expected: toStr(expected),
-        description: description ?? null,
-      });
-    },
-    // Stubs for helpers we don't care about
-    checkPlainDateTimeConversionFastPath() {},
-    checkTemporalUnitPluralsAndSingulars() {},
-    checkTemporalUnitPluralsOnlyFromOption() {},
-    checkRoundingModeProp() {},
-    checkOptionalTemporalUnitArgument() {},
-    assertEpochNs() {},
-    isValidEpochNanoseconds() { return true; },
-  };
+// Fixture files that --target would select, whether or not their target still exists
+function inTargetScope(file) {
+  if (!targetArg) return true;
+  if (!targetArg.includes('.')) return file.startsWith(`${targetArg}.`);
+  return file === `${targetArg}.json` || file === `${targetArg}.intl402.json`;
+}
 
-  const assertModule = {
-    sameValue(actual, expected, description) {
-      // Only capture primitive comparisons (toString results, numeric values, booleans)
-      if (typeof actual === typeof expected && typeof actual !== 'object') {
-        assertions.push({
-          kind: 'sameValue',
-          actual: String(actual),
-          expected: String(expected),
-          description: description ?? null,
-        });
-      } else if (actual != null && typeof actual.toString === 'function' &&
-                 expected != null && typeof expected === 'string') {
-        assertions.push({
-          kind: 'sameValue',
-          actual: actual.toString(),
-          expected: expected,
-          description: description ?? null,
-        });
-      }
-    },
-    notSameValue() {},
-    throws(fn, _errorType, description) {
-      try {
-        fn();
-        assertions.push({ kind: 'shouldThrow', threw: false, description: description ?? null });
-      } catch (e) {
-        assertions.push({ kind: 'shouldThrow', threw: true, description: description ?? null });
+function oneLine(value) {
+  const text = JSON.stringify(value);
+  return text.length > 160 ? `${text.slice(0, 157)}...` : text;
+}
+
+// Human-readable difference between two versions of one fixture
+function diffFixture(before, after) {
+  const lines = [];
+  for (const key of ['source', 'test262', 'polyfill', 'tzdata']) {
+    if ((before?.[key] ?? null) !== (after?.[key] ?? null)) lines.push(`    ${key}: ${before?.[key] ?? '∅'} → ${after?.[key] ?? '∅'}`);
+  }
+  const oldCases = new Map((before?.cases ?? []).map(c => [c.file, c]));
+  const newCases = new Map((after?.cases ?? []).map(c => [c.file, c]));
+  const files = [...new Set([...oldCases.keys(), ...newCases.keys()])].sort();
+  for (const file of files) {
+    const was = oldCases.get(file);
+    const now = newCases.get(file);
+    if (!was) {
+      lines.push(`  + ${file} (${now.assertions.length} assertion(s))`);
+    } else if (!now) {
+      lines.push(`  - ${file} (${was.assertions.length} assertion(s))`);
+    } else if (JSON.stringify(was) !== JSON.stringify(now)) {
+      lines.push(`  ~ ${file}`);
+      const count = Math.max(was.assertions.length, now.assertions.length);
+      for (let i = 0; i < count; i++) {
+        const a = was.assertions[i];
+        const b = now.assertions[i];
+        if (JSON.stringify(a) === JSON.stringify(b)) continue;
+        if (a) lines.push(`      - [${i}] ${oneLine(a)}`);
+        if (b) lines.push(`      + [${i}] ${oneLine(b)}`);
       }
-    },
-    compareArray() {},
-  };
+    }
+  }
+  const quarantine = fixture => new Map((fixture?.quarantined ?? []).map(q => [JSON.stringify(q), q]));
+  const [wasQuarantined, nowQuarantined] = [quarantine(before), quarantine(after)];
+  for (const [key, q] of wasQuarantined) if (!nowQuarantined.has(key)) lines.push(`  - quarantined ${oneLine(q)}`);
+  for (const [key, q] of nowQuarantined) if (!wasQuarantined.has(key)) lines.push(`  + quarantined ${oneLine(q)}`);
+  return lines;
+}
+
+/**
+ * Write (or, with --check, only compare) the regenerated fixtures and prune
+ * ones whose target ran and has no extractable cases left. `planned` only
+ * holds targets this run extracted; fixtures of any other target are never
+ * touched, and those no discovered target produces any more are listed for
+ * removal by hand. Returns true if anything differs from what is on disk.
+ */
+function syncFixtures(planned) {
+  const orphaned = readdirSync(FIXTURES_DIR)
+    .filter(f => f.endsWith('.json') && inTargetScope(f) && !planned.has(f) && !discovered.has(f));
+
+  const counts = { added: 0, updated: 0, pruned: 0, unchanged: 0 };
+  for (const file of [...planned.keys()].sort()) {
+    const fixture = planned.get(file);
+    const path = join(FIXTURES_DIR, file);
+    const exists = existsSync(path);
+    if (!fixture && !exists) continue;
+
+    const before = exists ? readFileSync(path, 'utf8') : null;
+    const after = fixture ? serializeFixture(fixture) : null;
+    if (before === after) {
+      counts.unchanged++;
+      continue;
+    }
+
+    const status = !exists ? 'added' : !fixture ? 'pruned' : 'updated';
+    counts[status]++;
+    console.log(`${{ added: '+', updated: '~', pruned: '-' }[status]} ${file} (${status})`);
+    if (CHECK) {
+      for (const line of diffFixture(readFixture(file), fixture)) console.log(line);
+    } else if (fixture) {
+      writeFileSync(path, after);
+    } else {
+      unlinkSync(path);
+    }
+  }
 
-  return { assertions, TemporalHelpers, assert: assertModule };
+  console.log(`\nSync: ${counts.added} added, ${counts.updated} updated, ${counts.pruned} pruned, ${counts.unchanged} unchanged.`);
+  for (const file of orphaned) {
+    console.log(`! ${file} has no target in the test262 checkout (removed upstream or denied); not pruned, delete it by hand if intended`);
+  }
+  const changed = counts.added + counts.updated + counts.pruned > 0;
+  if (CHECK && changed) console.log('Fixtures are out of date — run `node tools/extract-test262.mjs --sync`.');
+  return changed;
 }
 
-// ── File runner ───────────────────────────────────────────────────────────────
-function runTestFile(filePath, source) {
-  const { assertions, TemporalHelpers, assert } = makeCapture();
-
-  const context = vm.createContext({
-    Temporal,
-    TemporalHelpers,
-    assert,
-    console,
-    // Stubs for things tests might access
-    $DONE: () => {},
-    $262: { createRealm: () => ({}) },
-    Array, Object, Math, Number, String, Boolean, Symbol, BigInt,
-    Error, TypeError, RangeError, SyntaxError,
-    Promise, Set, Map, WeakSet, WeakMap,
-    JSON, Reflect, Proxy, undefined,
-    isNaN, isFinite, parseInt, parseFloat, encodeURIComponent, decodeURIComponent,
-  });
+// ── Extraction cache ──────────────────────────────────────────────────────────
+// Per-file results are kept in .cache/test262-extract.json under each file's
+// content hash. The cache as a whole is keyed on everything else a result
+// depends on (the runner and its helpers, the exception rules, supported
+// calendars, test262's harness files, polyfill and tzdata versions) and is
+// dropped when any of them changes. Timeouts and crashes are never cached.
+const CACHE_FILE = join(ROOT, '.cache/test262-extract.json');
+const UNCACHED_REASONS = new Set(['runtime-timeout', 'runtime-crash']);
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
 
+function hashFile(path) {
   try {
-    vm.runInContext(source, context, { filename: filePath, timeout: 5000 });
-  } catch (e) {
-    if (VERBOSE) console.error(`  ✗ runtime error: ${e.message}`);
+    return sha256(readFileSync(path));
+  } catch (_) {
     return null;
   }
+}
 
-  return assertions;
+function cacheKey() {
+  const inputs = {
+    runner: ['test262-runner.mjs', 'temporal-calls.mjs'].map(file => hashFile(join(__dirname, file))),
+    exceptions: hashFile(EXCEPTIONS_PATH),
+    calendars: TARGET_CONFIG.calendars ?? null,
+    harness: Object.fromEntries([...SUPPORTED_INCLUDES].map(f => [f, hashFile(join(TEST262_DIR, 'harness', f))])),
+    polyfill: POLYFILL_VERSION,
+    tzdata: TZDATA_VERSION,
+  };
+  return sha256(JSON.stringify(inputs));
 }
 
-// ── Walk directory ────────────────────────────────────────────────────────────
-function walkDir(dir) {
-  const files = [];
+// fixture file name → test262 path → { hash, result }
+function loadCache(key) {
+  if (NO_CACHE) return {};
   try {
-    for (const entry of readdirSync(dir)) {
-      const full = join(dir, entry);
-      const stat = statSync(full);
-      if (stat.isDirectory()) {
-        files.push(...walkDir(full));
-      } else if (entry.endsWith('.js')) {
-        files.push(full);
-      }
-    }
-  } catch (_) {}
-  return files;
+    const cache = JSON.parse(readFileSync(CACHE_FILE, 'utf8'));
+    return cache.key === key ? cache.targets : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function saveCache(key, targets) {
+  if (NO_CACHE) return;
+  mkdirSync(dirname(CACHE_FILE), { recursive: true });
+  writeFileSync(CACHE_FILE, JSON.stringify({ key, targets }));
+}
+
+// test262 paths (relative to the checkout) changed since `ref`, untracked files included
+function changedSince(ref) {
+  const git = (...gitArgs) => spawnSync('git', ['-C', TEST262_DIR, ...gitArgs], { encoding: 'utf8' });
+  const diff = git('diff', '--name-only', '--no-renames', ref, '--', 'test');
+  if (diff.status !== 0) {
+    console.error(`--since ${ref}: ${diff.stderr.trim() || 'git diff failed'}`);
+    process.exit(1);
+  }
+  const untracked = git('ls-files', '--others', '--exclude-standard', '--', 'test');
+  return [...diff.stdout.split('\n'), ...(untracked.stdout ?? '').split('\n')].filter(Boolean);
+}
+
+function touchesTarget(target, paths) {
+  return paths.some(path => target.recursive
+    ? path.startsWith(`${target.source}/`)
+    : dirname(path) === target.source);
 }
 
 // ── Main extraction ───────────────────────────────────────────────────────────
@@ -341,84 +297,148 @@ mkdirSync(FIXTURES_DIR, { recursive: true });
 let totalAssertions = 0;
 let totalFiles = 0;
 let totalSkipped = 0;
+let totalQuarantined = 0;
+const skipReasons = new Map();
+// One entry per test262 file seen, for the coverage report
+const fileRecords = [];
+
+function skip(record, reason) {
+  totalSkipped++;
+  skipReasons.set(reason, (skipReasons.get(reason) ?? 0) + 1);
+  fileRecords.push({ ...record, status: 'skipped', reason, assertions: 0 });
+  if (VERBOSE) console.log(`  [SKIP] ${basename(record.file)} — ${reason}`);
+}
 
-const filteredTargets = targetArg
-  ? TARGETS.filter(t => t.type === targetArg)
-  : TARGETS;
+// Sync mode: fixture file name → regenerated fixture (null = prune)
+const planned = new Map();
 
-for (const target of filteredTargets) {
-  const targetDir = join(TEST262_DIR, target.dir);
-  const files = walkDir(targetDir);
+// Without a checkout every target would come back empty and --sync would
+// prune every fixture, so a run with nothing to extract from is an error
+if (!existsSync(join(TEST262_DIR, 'test'))) {
+  console.error(`${relative(ROOT, TEST262_DIR)}/test not found — clone https://github.com/tc39/test262 into ${relative(ROOT, TEST262_DIR)} first.`);
+  process.exit(1);
+}
+const targets = discoverTargets(TEST262_DIR);
+if (targets.length === 0) {
+  console.error(`No Temporal targets found in ${relative(ROOT, TEST262_DIR)} (check tools/test262-targets.json).`);
+  process.exit(1);
+}
+const discovered = new Set(targets.map(t => t.fixture));
+const changedPaths = sinceArg ? changedSince(sinceArg) : null;
+const filteredTargets = targets
+  .filter(t => matchesTarget(t, targetArg))
+  .filter(t => !changedPaths || touchesTarget(t, changedPaths));
+if (targetArg && !targets.some(t => matchesTarget(t, targetArg))) {
+  console.error(`--target=${targetArg} matches no target in ${relative(ROOT, TEST262_DIR)}.`);
+  process.exit(1);
+}
+if (changedPaths) {
+  console.log(`${changedPaths.length} file(s) changed since ${sinceArg}, ${filteredTargets.length} target(s) to redo.`);
+}
+
+const CACHE_KEY = cacheKey();
+const cache = loadCache(CACHE_KEY);
+let cacheHits = 0;
+
+// Files run in worker threads in any order; the results are merged below in
+// target and file order, so the output does not depend on --jobs
+const pool = startWorkerPool({
+  size: JOBS,
+  timeout: TIMEOUT,
+  exceptions: EXCEPTIONS_PATH,
+  calendars: TARGET_CONFIG.calendars,
+});
+const targetFiles = filteredTargets.map(target => walkDir(join(TEST262_DIR, target.source), target.recursive).sort());
+const targetResults = await Promise.all(filteredTargets.map((target, i) => {
+  const cached = cache[target.fixture] ?? {};
+  const entries = {};
+  cache[target.fixture] = entries; // drops entries for files that are gone
+  return Promise.all(targetFiles[i].map(async filePath => {
+    const path = relative(TEST262_DIR, filePath);
+    const hash = hashFile(filePath);
+    if (hash !== null && cached[path]?.hash === hash) {
+      cacheHits++;
+      entries[path] = cached[path];
+      return cached[path].result;
+    }
+    const result = await pool.run({ filePath, target });
+    if (hash !== null && result && !UNCACHED_REASONS.has(result.reason)) entries[path] = { hash, result };
+    return result;
+  }));
+}));
+await pool.close();
+saveCache(CACHE_KEY, cache);
+
+for (const [i, target] of filteredTargets.entries()) {
+  const files = targetFiles[i];
 
   if (files.length === 0) {
-    if (VERBOSE) console.log(`[SKIP] ${target.dir} — directory not found or empty`);
+    if (VERBOSE) console.log(`[SKIP] ${target.source} — directory not found or empty`);
+    if (SYNC) planned.set(target.fixture, null);
     continue;
   }
 
   const fixture = {
     type: target.type,
     method: target.method,
-    source: `test/built-ins/Temporal/${target.dir}`,
+    source: target.source,
+    test262: SYNC ? test262Commit() : undefined,
+    polyfill: SYNC ? POLYFILL_VERSION : undefined,
+    tzdata: undefined, // set when any case depends on time zone data
     cases: [],
+    // assertions whose `actual` disagrees with `expected`, kept out of `cases`
+    // for review (see inconsistency() in tools/test262-runner.mjs)
+    quarantined: undefined,
   };
 
-  for (const filePath of files.sort()) {
+  for (const [j, filePath] of files.entries()) {
     const filename = basename(filePath);
-    if (shouldSkip(filename)) {
-      totalSkipped++;
-      if (VERBOSE) console.log(`  [SKIP] ${filename}`);
-      continue;
-    }
-
-    let source;
-    try {
-      source = readFileSync(filePath, 'utf8');
-    } catch (_) {
-      continue;
-    }
-
-    // Skip files that test JS-specific error types we can't map
-    if (source.includes('TypeError') || source.includes('detached')) {
-      totalSkipped++;
-      if (VERBOSE) console.log(`  [SKIP] ${filename} — JS-specific error`);
-      continue;
+    const relPath = relative(TEST262_DIR, filePath);
+    const result = targetResults[i][j];
+    if (!result) continue; // unreadable
+
+    const record = {
+      type: target.type,
+      method: target.method,
+      esid: result.esid,
+      file: relPath,
+      quarantined: (result.quarantined ?? []).map(q => q.reason),
+    };
+    if (result.usesTimeZone) fixture.tzdata = TZDATA_VERSION;
+    for (const { reason, assertion } of result.quarantined ?? []) {
+      fixture.quarantined ??= [];
+      fixture.quarantined.push({ file: relPath, reason, assertion });
+      totalQuarantined++;
+      if (VERBOSE) console.log(`  [QUARANTINE] ${filename} — ${reason}`);
     }
-    // Skip files with calendar overrides or proxy traps
-    if (source.includes('calendar.') || source.includes('new Proxy') || source.includes('Reflect.')) {
-      totalSkipped++;
-      if (VERBOSE) console.log(`  [SKIP] ${filename} — proxy/calendar override`);
+    if (result.status === 'skipped') {
+      if (VERBOSE && result.error) console.error(`  ✗ ${result.reason}: ${result.error}`);
+      skip(record, result.reason);
       continue;
     }
 
-    const assertions = runTestFile(filePath, source);
-
-    if (!assertions) {
-      totalSkipped++;
-      continue;
-    }
+    const { assertions } = result;
+    fixture.cases.push({
+      file: relPath,
+      esid: result.esid,
+      description: result.description,
+      assertions,
+    });
+    totalAssertions += assertions.length;
+    totalFiles++;
+    fileRecords.push({ ...record, status: 'extracted', reason: null, assertions: assertions.length });
+    if (VERBOSE) console.log(`  ✓ ${filename} — ${assertions.length} assertion(s)`);
+  }
 
-    const relPath = relative(join(ROOT, 'tests/test262'), filePath);
-    const usable = assertions.filter(a => a.kind !== 'shouldThrow');
-
-    if (usable.length > 0) {
-      fixture.cases.push({
-        file: relPath,
-        assertions: usable,
-      });
-      totalAssertions += usable.length;
-      totalFiles++;
-      if (VERBOSE) console.log(`  ✓ ${filename} — ${usable.length} assertion(s)`);
-    } else if (assertions.length > 0) {
-      totalSkipped++;
-      if (VERBOSE) console.log(`  [SKIP] ${filename} — only throw assertions`);
-    } else {
-      totalSkipped++;
-      if (VERBOSE) console.log(`  [SKIP] ${filename} — no assertions captured`);
-    }
+  if (SYNC) {
+    planned.set(target.fixture, fixture.cases.length > 0 || fixture.quarantined ? fixture : null);
+    continue;
   }
+  // A report run leaves the committed fixtures alone
+  if (REPORT) continue;
 
-  if (fixture.cases.length > 0) {
-    const outFile = join(FIXTURES_DIR, `${target.type}.${target.method}.json`);
+  if (fixture.cases.length > 0 || fixture.quarantined) {
+    const outFile = join(FIXTURES_DIR, target.fixture);
     const existing = (() => {
       try { return JSON.parse(readFileSync(outFile, 'utf8')); } catch (_) { return null; }
     })();
@@ -429,14 +449,39 @@ for (const target of filteredTargets) {
       for (const c of fixture.cases) {
         if (!existingFiles.has(c.file)) existing.cases.push(c);
       }
+      const quarantinedFiles = new Set((existing.quarantined ?? []).map(q => q.file));
+      for (const q of fixture.quarantined ?? []) {
+        if (existingFiles.has(q.file) || quarantinedFiles.has(q.file)) continue;
+        (existing.quarantined ??= []).push(q);
+      }
+      if (fixture.tzdata) existing.tzdata = fixture.tzdata;
       writeFileSync(outFile, JSON.stringify(existing, null, 2));
     } else {
       writeFileSync(outFile, JSON.stringify(fixture, null, 2));
     }
-    console.log(`✓ ${target.type}.${target.method} — ${fixture.cases.length} file(s), written to ${relative(ROOT, outFile)}`);
+    console.log(`✓ ${target.source} — ${fixture.cases.length} file(s), written to ${relative(ROOT, outFile)}`);
   } else {
-    if (VERBOSE) console.log(`[EMPTY] ${target.dir} — no extractable cases`);
+    if (VERBOSE) console.log(`[EMPTY] ${target.source} — no extractable cases`);
+  }
+}
+
+if (SYNC && syncFixtures(planned) && CHECK) process.exitCode = 1;
+
+if (REPORT) {
+  // A missing baseline (first run) just means there is nothing to compare with
+  const previous = compareArg && existsSync(compareArg) ? JSON.parse(readFileSync(compareArg, 'utf8')) : null;
+  const report = buildReport(fileRecords, { test262: test262Commit(), polyfill: POLYFILL_VERSION });
+  writeFileSync(`${REPORT}.json`, JSON.stringify(report, null, 2) + '\n');
+  writeFileSync(`${REPORT}.md`, renderMarkdown(report, previous));
+  console.log(`\nCoverage report written to ${relative(ROOT, REPORT)}.{json,md}`);
+  if (previous) {
+    for (const line of formatChanges(compareReports(previous, report))) console.log(line);
   }
 }
 
 console.log(`\nDone: ${totalFiles} files processed, ${totalAssertions} assertions extracted, ${totalSkipped} skipped.`);
+if (totalQuarantined > 0) console.log(`  ${totalQuarantined} assertion(s) quarantined (see the fixtures' \`quarantined\` sections)`);
+for (const [reason, count] of [...skipReasons].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))) {
+  console.log(`  ${String(count).padStart(5)}  ${reason}`);
+}
+if (cacheHits > 0) console.log(`(${cacheHits} file result(s) reused from ${relative(ROOT, CACHE_FILE)})`);
@@ -0,0 +1,500 @@
+#!/usr/bin/env node
+/**
+ * Differential fuzzer: @js-temporal/polyfill vs the PHP port
+ *
+ * Generates random Temporal calls (construction, parsing, add/subtract,
+ * until/since with largestUnit/smallestUnit/roundingMode, round, and
+ * Duration round/total with relativeTo), runs each through the polyfill and
+ * through one long-lived PHP worker (tools/temporal-worker.php), and reports
+ * every call where the two disagree: a different result, a different
+ * exception, or one side throwing while the other returns. Calls the PHP API
+ * has no way to express are counted as unsupported, not as divergences.
+ *
+ * Case <i> of a run is generated from `--seed` and <i> alone, so any reported
+ * case can be re-run by itself with `--seed=<s> --case=<i>`. Divergences are
+ * shrunk to a minimal call that still diverges the same way; `--save` adds
+ * those to tests/fixtures/fuzz/regressions.json, which
+ * tests/FuzzRegressionTest.php replays against the PHP API.
+ *
+ * Usage: node tools/fuzz-temporal.mjs [--seed=<n>] [--runs=<n> | --case=<i>] [--ops=PlainDate,Duration.round]
+ *        [--php=<binary>] [--save] [--verbose]
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import {
+  DURATION_FIELDS, toStr, serializeValue, deserializeValue, invokeCall, loadExceptionRules,
+} from './temporal-calls.mjs';
+import { startPhpWorker } from './php-worker.mjs';
+
+const require = createRequire(import.meta.url);
+const { Temporal } = require('@js-temporal/polyfill');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const REGRESSIONS = join(ROOT, 'tests/fixtures/fuzz/regressions.json');
+const POLYFILL_VERSION = JSON.parse(
+  readFileSync(join(ROOT, 'node_modules/@js-temporal/polyfill/package.json'), 'utf8'),
+).version;
+
+const args = process.argv.slice(2);
+const VERBOSE = args.includes('--verbose');
+const SAVE = args.includes('--save');
+const seedArg = args.find(a => a.startsWith('--seed='))?.split('=')[1] ?? null;
+const SEED = seedArg !== null ? Number(seedArg) >>> 0 : Math.floor(Math.random() * 2 ** 32);
+const RUNS = Number(args.find(a => a.startsWith('--runs='))?.split('=')[1] ?? 500);
+const caseArg = args.find(a => a.startsWith('--case='))?.split('=')[1] ?? null;
+const opsArg = args.find(a => a.startsWith('--ops='))?.split('=')[1] ?? null;
+const PHP = args.find(a => a.startsWith('--php='))?.split('=')[1] ?? 'php';
+// Worker round trips spent shrinking one divergence
+const SHRINK_BUDGET = 400;
+
+const phpExceptionFor = loadExceptionRules(join(__dirname, 'test262-exceptions.json'));
+
+// ── Seeded randomness ─────────────────────────────────────────────────────────
+// mulberry32: small, fast and identical on every platform, which is all a
+// reproducible fuzz run needs
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function makeRandom(seed) {
+  const next = mulberry32(seed);
+  return {
+    int: (lo, hi) => lo + Math.floor(next() * (hi - lo + 1)),
+    pick: list => list[Math.floor(next() * list.length)],
+    chance: p => next() < p,
+  };
+}
+
+// Each case gets its own stream so it does not depend on the cases before it
+function caseSeed(seed, index) {
+  return (seed ^ Math.imul(index + 1, 0x9e3779b1)) >>> 0;
+}
+
+// ── Value generators ──────────────────────────────────────────────────────────
+const DATE_UNITS = ['year', 'month', 'week', 'day'];
+const TIME_UNITS = ['hour', 'minute', 'second', 'millisecond', 'microsecond', 'nanosecond'];
+const ROUNDING_MODES = ['ceil', 'floor', 'expand', 'trunc', 'halfCeil', 'halfFloor', 'halfExpand', 'halfTrunc', 'halfEven'];
+const INCREMENTS = [1, 1, 1, 1, 2, 5, 10, 15, 30];
+const TIME_ZONES = ['UTC', 'Europe/Amsterdam', 'America/New_York', 'Asia/Kolkata', 'Australia/Lord_Howe'];
+
+// Retry a generator that can produce out-of-range values
+function valid(make, fallback) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    try {
+      return make();
+    } catch {
+      // out of range: draw again
+    }
+  }
+  return fallback();
+}
+
+function genYear(r) {
+  if (r.chance(0.7)) return r.int(1900, 2100);
+  if (r.chance(0.5)) return r.int(1, 9999);
+  return r.pick([-271821, -271820, 0, 275759, 275760]);
+}
+
+function genPlainDate(r) {
+  return valid(
+    () => new Temporal.PlainDate(genYear(r), r.int(1, 12), r.chance(0.8) ? r.int(1, 28) : r.int(29, 31)),
+    () => new Temporal.PlainDate(2000, 1, 1),
+  );
+}
+
+function genPlainTime(r) {
+  const field = (max) => (r.chance(0.3) ? 0 : r.int(0, max));
+  return new Temporal.PlainTime(field(23), field(59), field(59), field(999), field(999), field(999));
+}
+
+function genPlainDateTime(r) {
+  return genPlainDate(r).toPlainDateTime(genPlainTime(r));
+}
+
+function genInstant(r) {
+  // Kept within ±2^63 ns so the PHP side can hold it in an int
+  const seconds = BigInt(r.chance(0.8) ? r.int(-2_000_000_000, 4_000_000_000) : r.int(-9_000_000_000, 9_000_000_000));
+  const fraction = BigInt(r.chance(0.3) ? 0 : r.int(0, 999_999_999));
+  return Temporal.Instant.fromEpochNanoseconds(seconds * 1_000_000_000n + fraction);
+}
+
+function genZonedDateTime(r) {
+  return genInstant(r).toZonedDateTimeISO(r.pick(TIME_ZONES));
+}
+
+function genDuration(r, units) {
+  const sign = r.chance(0.3) ? -1 : 1;
+  const bag = {};
+  for (let n = r.int(1, 3); n > 0; n--) {
+    bag[`${r.pick(units)}s`] = sign * (r.chance(0.8) ? r.int(0, 60) : r.int(0, 1_000_000));
+  }
+  return Temporal.Duration.from(bag);
+}
+
+function unitName(r, unit) {
+  return r.chance(0.2) ? `${unit}s` : unit;
+}
+
+function genDifferenceOptions(r, units) {
+  const options = {};
+  if (r.chance(0.6)) options.largestUnit = r.chance(0.1) ? 'auto' : unitName(r, r.pick(units));
+  if (r.chance(0.5)) options.smallestUnit = unitName(r, r.pick(units));
+  if (r.chance(0.4)) options.roundingMode = r.pick(ROUNDING_MODES);
+  if (r.chance(0.2)) options.roundingIncrement = r.pick(INCREMENTS);
+  return Object.keys(options).length > 0 ? options : null;
+}
+
+function genRoundOptions(r, units) {
+  if (r.chance(0.2)) return r.pick(units);
+  const options = { smallestUnit: unitName(r, r.pick(units)) };
+  if (r.chance(0.6)) options.roundingMode = r.pick(ROUNDING_MODES);
+  if (r.chance(0.4)) options.roundingIncrement = r.pick(INCREMENTS);
+  return options;
+}
+
+function genRelativeTo(r) {
+  if (r.chance(0.15)) return undefined;
+  if (r.chance(0.7)) return genPlainDate(r);
+  return r.chance(0.5) ? genPlainDateTime(r) : genPlainDate(r).toString();
+}
+
+// Syntactic variations on a valid ISO string, valid and invalid alike
+const STRING_MUTATIONS = [
+  s => s.replace('T', 't'),
+  s => s.replace(/-(?=\d\d)/g, '').replace(/:/g, ''),
+  s => s.replace(/^(\d{4})/, '+00$1'),
+  s => `${s}[u-ca=iso8601]`,
+  s => `${s}[!u-ca=iso8601]`,
+  s => `${s}Z`,
+  s => `${s}+05:30`,
+  s => `${s}[Europe/Amsterdam]`,
+  s => s.replace(/\.(\d+)/, ',$1'),
+  s => s.slice(0, -1),
+  s => ` ${s}`,
+];
+
+const DURATION_MUTATIONS = [
+  s => s.toLowerCase(),
+  s => s.replace(/(\d+)H/, '$1.5H'),
+  s => s.replace(/(\d+)M$/, '$1.25M'),
+  s => (s.startsWith('-') ? s.slice(1) : `-${s}`),
+  s => `+${s}`,
+  s => s.replace('T', ''),
+  () => 'P',
+  () => 'PT',
+];
+
+function genString(r, value, mutations) {
+  const s = value.toString();
+  return r.chance(0.5) ? s : r.pick(mutations)(s);
+}
+
+// ── Operations ────────────────────────────────────────────────────────────────
+// Each generator returns a call record in the tools/temporal-calls.mjs format.
+function callRecord(type, method, receiver, callArgs, options = null) {
+  return {
+    type,
+    method,
+    receiver: receiver === null ? null : toStr(receiver),
+    args: callArgs.map(a => serializeValue(a)),
+    options: options === null || options === undefined ? null : serializeValue(options),
+  };
+}
+
+function overflowOption(r) {
+  return r.chance(0.4) ? { overflow: r.pick(['constrain', 'reject']) } : null;
+}
+
+const GENERATORS = {
+  // construction
+  'PlainDate.constructor': r => callRecord('PlainDate', 'constructor', null, [genYear(r), r.int(0, 13), r.int(0, 32)]),
+  'PlainTime.constructor': r =>
+    callRecord('PlainTime', 'constructor', null, [r.int(0, 24), r.int(0, 60), r.int(0, 60), r.int(0, 1000), r.int(0, 999), r.int(0, 999)]),
+  'PlainDateTime.constructor': r =>
+    callRecord('PlainDateTime', 'constructor', null, [genYear(r), r.int(1, 12), r.int(1, 31), r.int(0, 23), r.int(0, 59)]),
+  'PlainYearMonth.constructor': r => callRecord('PlainYearMonth', 'constructor', null, [genYear(r), r.int(0, 13)]),
+  'PlainMonthDay.constructor': r => callRecord('PlainMonthDay', 'constructor', null, [r.int(1, 12), r.int(1, 31)]),
+  'Duration.constructor': r => {
+    const sign = r.chance(0.3) ? -1 : 1;
+    const fields = Array.from({ length: 10 }, () => (r.chance(0.7) ? 0 : (r.chance(0.05) ? -sign : sign) * r.int(0, 500)));
+    return callRecord('Duration', 'constructor', null, fields);
+  },
+  'Instant.constructor': r => callRecord('Instant', 'constructor', null, [genInstant(r).epochNanoseconds]),
+
+  // parsing
+  'PlainDate.from': r => callRecord('PlainDate', 'from', null, [genString(r, genPlainDate(r), STRING_MUTATIONS)]),
+  'PlainTime.from': r => callRecord('PlainTime', 'from', null, [genString(r, genPlainTime(r), STRING_MUTATIONS)]),
+  'PlainDateTime.from': r => callRecord('PlainDateTime', 'from', null, [genString(r, genPlainDateTime(r), STRING_MUTATIONS)]),
+  'PlainYearMonth.from': r =>
+    callRecord('PlainYearMonth', 'from', null, [genString(r, genPlainDate(r).toPlainYearMonth(), STRING_MUTATIONS)]),
+  'PlainMonthDay.from': r =>
+    callRecord('PlainMonthDay', 'from', null, [genString(r, genPlainDate(r).toPlainMonthDay(), STRING_MUTATIONS)]),
+  'Instant.from': r => callRecord('Instant', 'from', null, [genString(r, genInstant(r), STRING_MUTATIONS)]),
+  'ZonedDateTime.from': r => callRecord('ZonedDateTime', 'from', null, [genString(r, genZonedDateTime(r), STRING_MUTATIONS)]),
+  'Duration.from': r =>
+    callRecord('Duration', 'from', null, [genString(r, genDuration(r, [...DATE_UNITS, ...TIME_UNITS]), DURATION_MUTATIONS)]),
+
+  // arithmetic
+  'PlainDate.add': r => callRecord('PlainDate', 'add', genPlainDate(r), [genDuration(r, DATE_UNITS)], overflowOption(r)),
+  'PlainDate.subtract': r => callRecord('PlainDate', 'subtract', genPlainDate(r), [genDuration(r, DATE_UNITS)], overflowOption(r)),
+  'PlainTime.add': r => callRecord('PlainTime', 'add', genPlainTime(r), [genDuration(r, TIME_UNITS)]),
+  'PlainTime.subtract': r => callRecord('PlainTime', 'subtract', genPlainTime(r), [genDuration(r, TIME_UNITS)]),
+  'PlainDateTime.add': r =>
+    callRecord('PlainDateTime', 'add', genPlainDateTime(r), [genDuration(r, [...DATE_UNITS, ...TIME_UNITS])], overflowOption(r)),
+  'PlainDateTime.subtract': r =>
+    callRecord('PlainDateTime', 'subtract', genPlainDateTime(r), [genDuration(r, [...DATE_UNITS, ...TIME_UNITS])], overflowOption(r)),
+  'Instant.add': r => callRecord('Instant', 'add', genInstant(r), [genDuration(r, TIME_UNITS)]),
+  'Instant.subtract': r => callRecord('Instant', 'subtract', genInstant(r), [genDuration(r, TIME_UNITS)]),
+  'ZonedDateTime.add': r => callRecord('ZonedDateTime', 'add', genZonedDateTime(r), [genDuration(r, [...DATE_UNITS, ...TIME_UNITS])]),
+  'Duration.add': r => callRecord('Duration', 'add', genDuration(r, TIME_UNITS), [genDuration(r, TIME_UNITS)]),
+
+  // differences
+  'PlainDate.until': r => callRecord('PlainDate', 'until', genPlainDate(r), [genPlainDate(r)], genDifferenceOptions(r, DATE_UNITS)),
+  'PlainDate.since': r => callRecord('PlainDate', 'since', genPlainDate(r), [genPlainDate(r)], genDifferenceOptions(r, DATE_UNITS)),
+  'PlainTime.until': r => callRecord('PlainTime', 'until', genPlainTime(r), [genPlainTime(r)], genDifferenceOptions(r, TIME_UNITS)),
+  'PlainTime.since': r => callRecord('PlainTime', 'since', genPlainTime(r), [genPlainTime(r)], genDifferenceOptions(r, TIME_UNITS)),
+  'PlainDateTime.until': r =>
+    callRecord('PlainDateTime', 'until', genPlainDateTime(r), [genPlainDateTime(r)], genDifferenceOptions(r, [...DATE_UNITS, ...TIME_UNITS])),
+  'PlainDateTime.since': r =>
+    callRecord('PlainDateTime', 'since', genPlainDateTime(r), [genPlainDateTime(r)], genDifferenceOptions(r, [...DATE_UNITS, ...TIME_UNITS])),
+  'Instant.until': r => callRecord('Instant', 'until', genInstant(r), [genInstant(r)], genDifferenceOptions(r, TIME_UNITS)),
+  'Instant.since': r => callRecord('Instant', 'since', genInstant(r), [genInstant(r)], genDifferenceOptions(r, TIME_UNITS)),
+
+  // rounding
+  'PlainTime.round': r => callRecord('PlainTime', 'round', genPlainTime(r), [], genRoundOptions(r, TIME_UNITS)),
+  'PlainDateTime.round': r => callRecord('PlainDateTime', 'round', genPlainDateTime(r), [], genRoundOptions(r, ['day', ...TIME_UNITS])),
+  'Instant.round': r => callRecord('Instant', 'round', genInstant(r), [], genRoundOptions(r, TIME_UNITS)),
+  'Duration.round': r => {
+    const options = genDifferenceOptions(r, [...DATE_UNITS, ...TIME_UNITS]) ?? { smallestUnit: r.pick(TIME_UNITS) };
+    const relativeTo = genRelativeTo(r);
+    if (relativeTo !== undefined) options.relativeTo = relativeTo;
+    return callRecord('Duration', 'round', genDuration(r, [...DATE_UNITS, ...TIME_UNITS]), [], options);
+  },
+  'Duration.total': r => {
+    const unit = unitName(r, r.pick([...DATE_UNITS, ...TIME_UNITS]));
+    const relativeTo = genRelativeTo(r);
+    const options = relativeTo === undefined ? (r.chance(0.5) ? unit : { unit }) : { unit, relativeTo };
+    return callRecord('Duration', 'total', genDuration(r, [...DATE_UNITS, ...TIME_UNITS]), [], options);
+  },
+};
+
+const OPS = Object.keys(GENERATORS).filter(name =>
+  !opsArg || opsArg.split(',').some(want => name === want || name.startsWith(`${want}.`)),
+);
+
+// ── Differential run ──────────────────────────────────────────────────────────
+function runPolyfill(call) {
+  try {
+    return { ok: true, result: serializeValue(invokeCall(call)) };
+  } catch (e) {
+    const error = e?.name ?? 'Error';
+    const message = e?.message ?? String(e);
+    return { ok: false, error, message, exception: phpExceptionFor(error, message) };
+  }
+}
+
+// match | unsupported | result | exception | php-throws | php-returns
+function classify(js, php) {
+  if ('unsupported' in php) return 'unsupported';
+  if (php.error === 'protocol') throw new Error(`PHP worker protocol error: ${php.message}`);
+  if (js.ok && php.ok) return JSON.stringify(js.result) === JSON.stringify(php.result) ? 'match' : 'result';
+  if (!js.ok && !php.ok) return php.error === js.exception ? 'match' : 'exception';
+  return js.ok ? 'php-throws' : 'php-returns';
+}
+
+function describe(outcome) {
+  if ('unsupported' in outcome) return `unsupported (${outcome.unsupported})`;
+  if (outcome.ok) return JSON.stringify(outcome.result);
+  const mapped = outcome.exception !== undefined ? ` → ${outcome.exception ?? 'no PHP mapping'}` : '';
+  return `${outcome.error}: ${outcome.message}${mapped}`;
+}
+
+// ── Shrinking ─────────────────────────────────────────────────────────────────
+// Greedy: keep taking the first simpler variant of the call that still
+// diverges the same way, until none does or the budget runs out.
+const DATE_TARGETS = { year: 1970, month: 1, day: 1 };
+const TIME_TARGETS = { hour: 0, minute: 0, second: 0, millisecond: 0, microsecond: 0, nanosecond: 0 };
+const SHRINK_TARGETS = {
+  PlainDate: DATE_TARGETS,
+  PlainTime: TIME_TARGETS,
+  PlainDateTime: { ...DATE_TARGETS, ...TIME_TARGETS },
+  ZonedDateTime: { ...DATE_TARGETS, ...TIME_TARGETS },
+  PlainYearMonth: { year: 1970, month: 1 },
+  PlainMonthDay: { day: 1 },
+  Duration: Object.fromEntries(DURATION_FIELDS.map(f => [f, 0])),
+};
+
+function* towards(value, target) {
+  if (value === target) return;
+  yield target;
+  const middle = typeof value === 'bigint' ? (value + target) / 2n : Math.trunc((value + target) / 2);
+  if (middle !== target && middle !== value) yield middle;
+}
+
+function* shrinkTemporal(record) {
+  const value = deserializeValue(record);
+  if (record.$type === 'Instant') {
+    for (const ns of towards(value.epochNanoseconds, 0n)) yield serializeValue(Temporal.Instant.fromEpochNanoseconds(ns));
+    return;
+  }
+  for (const [field, target] of Object.entries(SHRINK_TARGETS[record.$type] ?? {})) {
+    for (const next of towards(value[field], target)) {
+      try {
+        yield serializeValue(value.with({ [field]: next }));
+      } catch {
+        // not representable: try the next field
+      }
+    }
+  }
+}
+
+function* shrinkValue(v, { strings = false } = {}) {
+  if (typeof v === 'number') {
+    yield* towards(v, 0);
+  } else if (typeof v === 'string') {
+    // Only strings under test (parsing input) are cut down; option values stay valid
+    if (strings) for (let i = 0; i < v.length; i++) yield v.slice(0, i) + v.slice(i + 1);
+  } else if (v !== null && typeof v === 'object' && !Array.isArray(v)) {
+    if (v.$type === 'bigint') {
+      for (const n of towards(BigInt(v.value), 0n)) yield { $type: 'bigint', value: String(n) };
+    } else if ('$type' in v) {
+      yield* shrinkTemporal(v);
+    } else {
+      for (const key of Object.keys(v)) {
+        const { [key]: _, ...rest } = v;
+        yield rest;
+        for (const smaller of shrinkValue(v[key])) yield { ...v, [key]: smaller };
+      }
+    }
+  }
+}
+
+function* shrinkCandidates(call) {
+  if (call.options !== null) yield { ...call, options: null };
+  for (const smaller of shrinkValue(call.options)) yield { ...call, options: smaller };
+  for (let i = 0; i < call.args.length; i++) {
+    for (const smaller of shrinkValue(call.args[i], { strings: call.method === 'from' })) {
+      yield { ...call, args: call.args.with(i, smaller) };
+    }
+  }
+  if (call.receiver !== null) {
+    for (const smaller of shrinkTemporal({ $type: call.type, value: call.receiver })) {
+      yield { ...call, receiver: smaller.value };
+    }
+  }
+}
+
+async function evaluate(worker, call) {
+  const js = runPolyfill(call);
+  const php = await worker.call(call);
+  return { kind: classify(js, php), js, php };
+}
+
+async function shrink(worker, call, kind) {
+  let best = call;
+  let budget = SHRINK_BUDGET;
+  for (let improved = true; improved && budget > 0;) {
+    improved = false;
+    for (const candidate of shrinkCandidates(best)) {
+      if (budget-- <= 0) break;
+      if ((await evaluate(worker, candidate)).kind === kind) {
+        best = candidate;
+        improved = true;
+        break;
+      }
+    }
+  }
+  return best;
+}
+
+// ── Regression fixtures ───────────────────────────────────────────────────────
+function saveRegressions(divergences) {
+  const existing = existsSync(REGRESSIONS) ? JSON.parse(readFileSync(REGRESSIONS, 'utf8')).cases : [];
+  const seen = new Set(existing.map(c => JSON.stringify(c.call)));
+  const added = [];
+  for (const { index, kind, call, js } of divergences) {
+    // Without a mapped PHP exception there is nothing for the test to expect
+    if (!js.ok && !js.exception) continue;
+    if (seen.has(JSON.stringify(call))) continue;
+    seen.add(JSON.stringify(call));
+    added.push({
+      seed: `${SEED}:${index}`,
+      divergence: kind,
+      polyfill: POLYFILL_VERSION,
+      call,
+      expected: js.ok ? { result: js.result } : { exception: js.exception, error: js.error, message: js.message },
+    });
+  }
+  if (added.length === 0) return 0;
+  mkdirSync(dirname(REGRESSIONS), { recursive: true });
+  writeFileSync(REGRESSIONS, JSON.stringify({ cases: [...existing, ...added] }, null, 2));
+  return added.length;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+if (OPS.length === 0) {
+  console.error(`No operations match --ops=${opsArg}. Known: ${Object.keys(GENERATORS).join(', ')}`);
+  process.exit(2);
+}
+
+const indices = caseArg !== null ? [Number(caseArg)] : Array.from({ length: RUNS }, (_, i) => i);
+const worker = startPhpWorker({ php: PHP });
+const tally = { match: 0, unsupported: 0, diverged: 0 };
+const unsupportedReasons = new Map();
+const divergences = [];
+
+try {
+  for (const index of indices) {
+    const r = makeRandom(caseSeed(SEED, index));
+    const op = r.pick(OPS);
+    const call = GENERATORS[op](r);
+    const { kind, js, php } = await evaluate(worker, call);
+
+    if (kind === 'match' || kind === 'unsupported') {
+      tally[kind]++;
+      if (kind === 'unsupported') unsupportedReasons.set(php.unsupported, (unsupportedReasons.get(php.unsupported) ?? 0) + 1);
+      if (VERBOSE) console.log(`  ${kind === 'match' ? '✓' : '–'} #${index} ${op}: ${describe(php)}`);
+      continue;
+    }
+
+    tally.diverged++;
+    const minimal = await shrink(worker, call, kind);
+    const final = await evaluate(worker, minimal);
+    divergences.push({ index, kind, call: minimal, js: final.js, php: final.php });
+
+    console.log(`✗ #${index} ${op} [${kind}]`);
+    console.log(`    call:     ${JSON.stringify(minimal)}`);
+    console.log(`    polyfill: ${describe(final.js)}`);
+    console.log(`    php:      ${describe(final.php)}`);
+    console.log(`    rerun:    node tools/fuzz-temporal.mjs --seed=${SEED} --case=${index}`);
+  }
+} catch (e) {
+  console.error(`Fuzzing stopped: ${e.message}`);
+  process.exitCode = 2;
+} finally {
+  worker.close();
+}
+
+console.log(
+  `\nSeed ${SEED}: ${indices.length} call(s), ${tally.match} matched, ` +
+  `${tally.unsupported} unsupported by the PHP API, ${tally.diverged} diverged.`,
+);
+for (const [reason, count] of [...unsupportedReasons].sort((a, b) => b[1] - a[1])) {
+  console.log(`  ${String(count).padStart(5)}  ${reason}`);
+}
+if (SAVE && divergences.length > 0) {
+  const saved = saveRegressions(divergences);
+  console.log(`Saved ${saved} new regression case(s) to ${REGRESSIONS.slice(ROOT.length + 1)}.`);
+}
+if (divergences.length > 0) process.exitCode ||= 1;
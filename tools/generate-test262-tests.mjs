@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+/**
+ * PHPUnit classes from test262 fixtures
+ *
+ * Writes one class per fixture (Temporal type/method) to tests/Test262/, e.g.
+ * tests/fixtures/PlainDate.add.json → Temporal\Tests\Test262\PlainDateAddTest,
+ * with one test method per test262 file (`argument-string.js` →
+ * testArgumentString). Each method carries the file's description and links
+ * to its spec section (esid) and to its source at the fixture's test262 commit
+ * (just the path when the commit is unknown), and calls the PHP API directly:
+ * the call record behind an assertion is written out as PHP by
+ * tools/temporal-worker.php, so a failure points at the exact call rather
+ * than at a fixture row. Calls are replayed on @js-temporal/polyfill first
+ * and only used when they reproduce the captured `actual`; otherwise typed
+ * assertions fall back to parsing `actual`, as tests/Test262Test.php does,
+ * and sameValue/throws assertions are left out.
+ *
+ * Generated classes extend tests/Support/Test262TestCase.php and are not
+ * committed; run `composer test262:generate` after the fixtures change.
+ *
+ * Usage: node tools/generate-test262-tests.mjs [--target=PlainDate|PlainDate.add]
+ *        [--out=tests/Test262] [--php=php] [--verbose]
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, unlinkSync, existsSync } from 'fs';
+import { join, dirname, basename, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { invokeCall, toStr } from './temporal-calls.mjs';
+import { startPhpWorker } from './php-worker.mjs';
+
+const require = createRequire(import.meta.url);
+const test262Parser = require('test262-parser');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST262_DIR = join(ROOT, 'tests/test262');
+const FIXTURES_DIR = join(ROOT, 'tests/fixtures');
+
+const args = process.argv.slice(2);
+const VERBOSE = args.includes('--verbose');
+const targetArg = args.find(a => a.startsWith('--target='))?.split('=')[1] ?? null;
+const OUT_DIR = resolve(args.find(a => a.startsWith('--out='))?.split('=')[1] ?? join(ROOT, 'tests/Test262'));
+const PHP = args.find(a => a.startsWith('--php='))?.split('=')[1] ?? 'php';
+
+const NAMESPACE = 'Temporal\\Tests\\Test262';
+const SPEC_URL = 'https://tc39.es/proposal-temporal/#';
+const SOURCE_URL = 'https://github.com/tc39/test262/blob/';
+
+// Fixture assertion kind → Test262TestCase helper and the type it checks
+const TYPED_KINDS = {
+  assertPlainDate: ['assertPlainDateFields', 'PlainDate'],
+  assertPlainTime: ['assertPlainTimeFields', 'PlainTime'],
+  assertPlainDateTime: ['assertPlainDateTimeFields', 'PlainDateTime'],
+  assertDuration: ['assertDurationFields', 'Duration'],
+  assertPlainYearMonth: ['assertPlainYearMonthFields', 'PlainYearMonth'],
+  assertPlainMonthDay: ['assertPlainMonthDayFields', 'PlainMonthDay'],
+  assertZonedDateTime: ['assertZonedDateTimeFields', 'ZonedDateTime'],
+};
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+function isWanted(name) {
+  if (!targetArg) return true;
+  const [type, method] = name.split('.');
+  return targetArg.includes('.') ? `${type}.${method}` === targetArg : type === targetArg;
+}
+
+function loadFixtures() {
+  return readdirSync(FIXTURES_DIR)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => ({ name: f.slice(0, -'.json'.length), fixture: JSON.parse(readFileSync(join(FIXTURES_DIR, f), 'utf8')) }))
+    .filter(({ name }) => isWanted(name));
+}
+
+// Fixtures written before cases carried esid/description get them from the
+// test262 checkout, when there is one
+function frontmatter(file) {
+  const path = join(TEST262_DIR, file);
+  if (!existsSync(path)) return {};
+  try {
+    return test262Parser.parseFile({ file: path, contents: readFileSync(path, 'utf8') }).attrs ?? {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// ── PHP source ────────────────────────────────────────────────────────────────
+
+function phpString(s) {
+  return `'${String(s).replace(/[\\']/g, '\\$&')}'`;
+}
+
+function phpScalar(v) {
+  if (typeof v === 'string') return phpString(v);
+  if (typeof v === 'boolean') return v ? 'true' : 'false';
+  if (v === null) return 'null';
+  if (Number.isInteger(v) && Math.abs(v) <= Number.MAX_SAFE_INTEGER) return String(v);
+  return Number.isFinite(v) ? String(v) : (Number.isNaN(v) ? 'NAN' : v > 0 ? 'INF' : '-INF');
+}
+
+// `['year' => 2000, …]` inline, or one entry per line when that gets too wide
+function phpArray(fields, indent) {
+  const items = Object.entries(fields).map(([k, v]) => `${phpString(k)} => ${phpScalar(v)}`);
+  const inline = `[${items.join(', ')}]`;
+  if (indent.length + inline.length <= 110) return inline;
+  return `[\n${items.map(item => `${indent}    ${item},`).join('\n')}\n${indent}]`;
+}
+
+function pascalCase(s) {
+  return s.split(/[^A-Za-z0-9]+/).filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+// PlainDate.add → PlainDateAddTest, PlainDate.add.intl402 → PlainDateAddIntl402Test
+function className(name) {
+  return `${name.split('.').map(pascalCase).join('')}Test`;
+}
+
+function methodName(file, used) {
+  const base = `test${pascalCase(basename(file, '.js'))}`;
+  let name = base;
+  for (let n = 2; used.has(name); n++) name = `${base}${n}`;
+  used.add(name);
+  return name;
+}
+
+function docComment(lines) {
+  const body = lines.map(l => (l === '' ? '     *' : `     * ${l.replace(/\*\//g, '*\\/')}`));
+  return ['    /**', ...body, '     */'].join('\n');
+}
+
+// ── Assertions ────────────────────────────────────────────────────────────────
+
+// Does replaying the call on the polyfill give what the test saw?
+function reproduces(assertion) {
+  const { call } = assertion;
+  try {
+    const result = toStr(invokeCall(call));
+    return assertion.kind !== 'throws' && result === assertion.actual;
+  } catch (e) {
+    return assertion.kind === 'throws' && e?.constructor?.name === assertion.error;
+  }
+}
+
+// The assertion's call as PHP source, or null if it cannot be used
+async function renderCall(worker, assertion) {
+  if (!assertion.call || !reproduces(assertion)) return null;
+  const response = await worker.render(assertion.call);
+  return response.ok ? response.code : null;
+}
+
+// `actual` parsed back, for typed assertions without a usable call. Like
+// tests/Test262Test.php this goes through Test262TestCase::parseActual(), which
+// re-applies calendar annotations and skips on strings PHP cannot parse
+function fallback(type, assertion) {
+  const state = assertion.state;
+  if (type === 'Duration' && state) {
+    const fields = Object.entries(state).filter(([k, v]) => k !== '$type' && k !== 'sign' && v !== 0);
+    return `new Duration(${fields.map(([k, v]) => `${k}: ${phpScalar(v)}`).join(', ')})`;
+  }
+  return `self::parseActual(${type}::class, ${phpString(assertion.actual)})`;
+}
+
+function statement(helper, parts) {
+  const line = `        ${helper}(${parts.join(', ')});`;
+  if (line.length <= 120 && !line.includes('\n')) return line;
+  return `        ${helper}(\n${parts.map(p => `            ${p}`).join(',\n')}\n        );`;
+}
+
+/**
+ * PHP statements for one assertion plus the classes they use; null when the
+ * assertion cannot be written against the PHP API.
+ */
+async function assertionCode(worker, assertion, index) {
+  const description = phpString(assertion.description ?? `#${index}`);
+  const code = await renderCall(worker, assertion);
+  const uses = code ? [...code.matchAll(/\b(?:new )?([A-Z]\w*)(?=::|\()/g)].map(m => m[1]) : [];
+
+  // Without `state` the Duration string does not say which decomposition the
+  // test expects (PT86400.25S may be seconds or microseconds), so only its
+  // round-trip is checked
+  if (assertion.kind === 'assertDuration' && !code && !assertion.state) {
+    const duration = fallback('Duration', assertion);
+    return {
+      lines: statement('self::assertSame', [phpString(assertion.actual), `(string) ${duration}`, description]),
+      uses: ['Duration'],
+      replayed: false,
+    };
+  }
+  if (assertion.kind in TYPED_KINDS) {
+    const [helper, type] = TYPED_KINDS[assertion.kind];
+    const expected = assertion.kind === 'assertZonedDateTime'
+      ? Object.fromEntries(Object.entries(assertion.expected).map(([k, v]) => [k, String(v)]))
+      : assertion.expected;
+    return {
+      lines: statement(`self::${helper}`, [phpArray(expected, '            '), code ?? fallback(type, assertion), description]),
+      uses: code ? uses : [type],
+      replayed: code !== null,
+    };
+  }
+  if (assertion.kind === 'assertInstant') {
+    const instant = code ?? fallback('Instant', assertion);
+    return {
+      lines: statement('self::assertSame', [phpString(assertion.expected), `(string) ${instant}`, description]),
+      uses: code ? uses : ['Instant'],
+      replayed: code !== null,
+    };
+  }
+  if (assertion.kind === 'sameValue' && code) {
+    return {
+      lines: statement('self::assertSameValue', [phpString(assertion.expected), code, description]),
+      uses,
+      replayed: true,
+    };
+  }
+  if (assertion.kind === 'throws' && code && assertion.exception) {
+    const exception = assertion.exception.split('\\').pop();
+    return {
+      lines: statement('self::assertThrowsException', [`${exception}::class`, `static fn() => ${code}`, description]),
+      uses,
+      imports: [assertion.exception],
+      replayed: true,
+    };
+  }
+  return null;
+}
+
+// ── Classes ───────────────────────────────────────────────────────────────────
+
+async function generateClass(worker, name, fixture, stats) {
+  const imports = new Set(['Temporal\\Tests\\Support\\Test262TestCase']);
+  const usedNames = new Set();
+  const methods = [];
+  // Source links are pinned to the commit the fixture was extracted from; a
+  // branch link would drift away from the test the assertions came from
+  const ref = fixture.test262 ?? null;
+
+  for (const testCase of fixture.cases) {
+    const attrs = testCase.esid === undefined ? frontmatter(testCase.file) : {};
+    const esid = testCase.esid ?? attrs.esid ?? null;
+    const description = testCase.description ?? attrs.description?.trim() ?? null;
+
+    const body = [];
+    for (const [index, assertion] of testCase.assertions.entries()) {
+      const written = await assertionCode(worker, assertion, index);
+      if (!written) {
+        stats.omitted++;
+        continue;
+      }
+      body.push(written.lines);
+      for (const type of written.uses) imports.add(`Temporal\\${type}`);
+      for (const fqcn of written.imports ?? []) imports.add(fqcn);
+      stats[written.replayed ? 'replayed' : 'parsed']++;
+    }
+    if (body.length === 0) {
+      body.push("        self::markTestSkipped('None of this file\\'s assertions can be written against the PHP API');");
+    }
+
+    const doc = [
+      ...(description ? description.split('\n').map(l => l.trim()) : []),
+      ...(description ? [''] : []),
+      ...(esid ? [`@see ${SPEC_URL}${esid}`] : []),
+      ref ? `@see ${SOURCE_URL}${ref}/${testCase.file}` : `test262 ${testCase.file} (commit unknown)`,
+    ];
+    methods.push([
+      docComment(doc),
+      `    public function ${methodName(testCase.file, usedNames)}(): void`,
+      '    {',
+      body.join('\n'),
+      '    }',
+    ].join('\n'));
+  }
+
+  const source = fixture.source ? ` (${fixture.source})` : '';
+  return [
+    '<?php',
+    '',
+    'declare(strict_types = 1);',
+    '',
+    `namespace ${NAMESPACE};`,
+    '',
+    ...[...imports].sort().map(fqcn => `use ${fqcn};`),
+    '',
+    '/**',
+    ` * test262 cases for ${fixture.type}.${fixture.method}${source}.`,
+    ' *',
+    ` * Generated from tests/fixtures/${name}.json by tools/generate-test262-tests.mjs; do not edit.`,
+    ' */',
+    `final class ${className(name)} extends Test262TestCase`,
+    '{',
+    methods.join('\n\n'),
+    '}',
+    '',
+  ].join('\n');
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+const fixtures = loadFixtures();
+if (fixtures.length === 0) {
+  console.error(`No fixtures match ${targetArg ?? 'tests/fixtures/*.json'}`);
+  process.exit(1);
+}
+
+mkdirSync(OUT_DIR, { recursive: true });
+const worker = startPhpWorker({ php: PHP });
+const stats = { replayed: 0, parsed: 0, omitted: 0 };
+const written = new Set();
+
+try {
+  for (const { name, fixture } of fixtures) {
+    if (fixture.cases.length === 0) continue;
+    const file = `${className(name)}.php`;
+    writeFileSync(join(OUT_DIR, file), await generateClass(worker, name, fixture, stats));
+    written.add(file);
+    if (VERBOSE) console.log(`  ${file}: ${fixture.cases.length} test(s)`);
+  }
+} finally {
+  worker.close();
+}
+
+// A full run also removes classes whose fixture is gone
+if (!targetArg) {
+  for (const file of readdirSync(OUT_DIR)) {
+    if (file.endsWith('Test.php') && !written.has(file)) {
+      unlinkSync(join(OUT_DIR, file));
+      if (VERBOSE) console.log(`  removed ${file}`);
+    }
+  }
+}
+
+console.log(`Wrote ${written.size} class(es) to ${OUT_DIR}`);
+console.log(
+  `  ${stats.replayed} assertion(s) call the API, ${stats.parsed} parse \`actual\`, ` +
+    `${stats.omitted} left out (no call that reproduces them)`,
+);
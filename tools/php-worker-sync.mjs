@@ -0,0 +1,66 @@
+/**
+ * Blocking client for tools/temporal-worker.php
+ *
+ * test262 files call Temporal synchronously, so tools/test262-bridge.mjs cannot
+ * await a response. The ordinary client (tools/php-worker.mjs) runs in a
+ * worker thread instead, and request() blocks the calling thread with
+ * Atomics.wait() until that thread has posted the response.
+ */
+
+import { Worker, MessageChannel, isMainThread, workerData, receiveMessageOnPort } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import { startPhpWorker } from './php-worker.mjs';
+
+// ── Worker side ───────────────────────────────────────────────────────────────
+if (!isMainThread && workerData?.syncPhpWorker) {
+  const { port, signal, php, timeout } = workerData;
+  const flag = new Int32Array(signal);
+  const client = startPhpWorker({ php, timeout });
+  port.on('message', async payload => {
+    let response;
+    try {
+      response = await client.request(payload);
+    } catch (e) {
+      response = { ok: false, error: 'worker', message: String(e?.message ?? e) };
+    }
+    port.postMessage(response);
+    Atomics.store(flag, 0, 1);
+    Atomics.notify(flag, 0);
+  });
+  port.on('close', () => client.close());
+}
+
+// ── Client ────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {{php?: string, timeout?: number}} [options]
+ * @returns {{request(payload: object): object, close(): Promise<void>}}
+ */
+export function startSyncPhpWorker({ php = 'php', timeout = 10_000 } = {}) {
+  const signal = new SharedArrayBuffer(4);
+  const flag = new Int32Array(signal);
+  const { port1, port2 } = new MessageChannel();
+  const worker = new Worker(fileURLToPath(import.meta.url), {
+    workerData: { syncPhpWorker: true, port: port2, signal, php, timeout },
+    transferList: [port2],
+  });
+
+  return {
+    request(payload) {
+      // drop a late answer to a request that already timed out
+      while (receiveMessageOnPort(port1));
+      Atomics.store(flag, 0, 0);
+      port1.postMessage(payload);
+      // The async client times out on its own; the extra second only
+      // catches a worker thread that stopped answering altogether
+      if (Atomics.wait(flag, 0, 0, timeout + 1000) === 'timed-out') {
+        throw new Error(`PHP worker thread did not answer within ${timeout + 1000} ms`);
+      }
+      return receiveMessageOnPort(port1).message;
+    },
+    async close() {
+      port1.close();
+      await worker.terminate();
+    },
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Client for tools/temporal-worker.php
+ *
+ * Spawns one PHP process and talks to it in JSON lines: every request gets an
+ * `id`, and responses are matched back to their promise by that id. A request
+ * that gets no answer within `timeout` ms rejects and the worker is restarted
+ * on the next request, so one hung call cannot stall a whole run.
+ */
+
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const WORKER = join(dirname(fileURLToPath(import.meta.url)), 'temporal-worker.php');
+
+/**
+ * @param {{php?: string, timeout?: number}} [options]
+ * @returns {{
+ *   request(payload: object): Promise<object>,
+ *   call(call: object): Promise<object>,
+ *   render(call: object): Promise<object>,
+ *   close(): void,
+ * }}
+ */
+export function startPhpWorker({ php = 'php', timeout = 10_000 } = {}) {
+  let child = null;
+  let nextId = 1;
+  const pending = new Map();
+
+  function failAll(proc, error) {
+    for (const [id, entry] of pending) {
+      if (entry.proc !== proc) continue;
+      pending.delete(id);
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+  }
+
+  function spawnWorker() {
+    const proc = spawn(php, [WORKER], { stdio: ['pipe', 'pipe', 'inherit'] });
+    proc.on('error', error => failAll(proc, error));
+    // a write to a worker that already died surfaces through 'exit' instead
+    proc.stdin.on('error', () => {});
+    proc.on('exit', (code, signal) => {
+      if (child === proc) child = null;
+      failAll(proc, new Error(`PHP worker exited (${signal ?? `code ${code}`})`));
+    });
+    createInterface({ input: proc.stdout }).on('line', line => {
+      let response;
+      try {
+        response = JSON.parse(line);
+      } catch {
+        return; // stray output (warnings, notices) is not part of the protocol
+      }
+      const entry = pending.get(response.id);
+      if (!entry) return;
+      pending.delete(response.id);
+      clearTimeout(entry.timer);
+      entry.resolve(response);
+    });
+    return proc;
+  }
+
+  function request(payload) {
+    child ??= spawnWorker();
+    const proc = child;
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`PHP worker did not answer within ${timeout} ms`));
+        if (child === proc) child = null;
+        proc.kill();
+      }, timeout);
+      pending.set(id, { proc, resolve, reject, timer });
+      proc.stdin.write(JSON.stringify({ id, ...payload }) + '\n');
+    });
+  }
+
+  return {
+    request,
+    call: call => request({ op: 'call', call }),
+    render: call => request({ op: 'render', call }),
+    close() {
+      if (child) child.stdin.end();
+      child = null;
+    },
+  };
+}
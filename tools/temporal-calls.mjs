@@ -0,0 +1,131 @@
+/**
+ * Temporal call records shared by the test262 extractor and the fuzzer
+ *
+ * A call record is the JSON-safe description of one Temporal invocation:
+ *   { type, method, receiver, args, options }
+ * `receiver` is the string form of the instance (null for static calls and
+ * constructors), `args` the positional arguments before the options bag and
+ * `options` the bag itself. A getter read is recorded as a call of the
+ * property's name with no arguments and `property: true`. Temporal objects,
+ * BigInts and non-finite numbers are written as `{ $type, value }` records;
+ * tests/Support/CallReplayer.php replays the same records against the PHP API.
+ */
+
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { Temporal } = require('@js-temporal/polyfill');
+
+// Index of the options argument for methods that accept one
+export const OPTIONS_ARG = {
+  from: 1, add: 1, subtract: 1, with: 1, until: 1, since: 1,
+  round: 0, total: 0, toString: 0, compare: 2, toZonedDateTime: 1,
+};
+
+export function toStr(v) {
+  if (v == null) return null;
+  if (typeof v === 'string') return v;
+  if (typeof v === 'number' || typeof v === 'boolean' || typeof v === 'bigint') return String(v);
+  if (typeof v?.toString === 'function') return v.toString();
+  return String(v);
+}
+
+export function temporalTypeOf(v) {
+  for (const [type, Class] of Object.entries(Temporal)) {
+    if (typeof Class === 'function' && v instanceof Class) return type;
+  }
+  return null;
+}
+
+export const DURATION_FIELDS = [
+  'years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds', 'milliseconds', 'microseconds', 'nanoseconds',
+];
+const ERA_FIELDS = ['era', 'eraYear'];
+const DATE_FIELDS = ['year', 'month', 'monthCode', 'day'];
+const TIME_FIELDS = ['hour', 'minute', 'second', 'millisecond', 'microsecond', 'nanosecond'];
+
+// Per type, the getters that make up an object's observable state
+const STATE_FIELDS = {
+  PlainDate: ['calendarId', ...ERA_FIELDS, ...DATE_FIELDS],
+  PlainDateTime: ['calendarId', ...ERA_FIELDS, ...DATE_FIELDS, ...TIME_FIELDS],
+  PlainYearMonth: ['calendarId', ...ERA_FIELDS, 'year', 'month', 'monthCode'],
+  PlainMonthDay: ['calendarId', 'monthCode', 'day'],
+  PlainTime: TIME_FIELDS,
+  Duration: [...DURATION_FIELDS, 'sign'],
+  Instant: ['epochNanoseconds'],
+  ZonedDateTime: ['calendarId', 'timeZoneId', 'offset', 'epochNanoseconds', ...ERA_FIELDS, ...DATE_FIELDS, ...TIME_FIELDS],
+};
+
+/**
+ * Field-by-field snapshot of a Temporal object, keeping what toString() loses
+ * or only implies: calendar id, month code, era/eraYear and a Duration's exact
+ * decomposition. Getters that are undefined (era for ISO dates) are left out;
+ * BigInts become strings. Returns null for anything that is not a Temporal object.
+ */
+export function temporalState(v) {
+  const type = temporalTypeOf(v);
+  if (!type) return null;
+  const state = { $type: type };
+  for (const field of STATE_FIELDS[type]) {
+    const value = v[field];
+    if (value !== undefined) state[field] = typeof value === 'bigint' ? String(value) : value;
+  }
+  return state;
+}
+
+// JSON-safe form of a call argument: Temporal objects, BigInts and non-finite
+// numbers become `{ $type, value }` records, property bags are copied field by field
+export function serializeValue(v, depth = 0) {
+  if (v === undefined || v === null) return null;
+  if (typeof v === 'bigint') return { $type: 'bigint', value: String(v) };
+  if (typeof v === 'number') return Number.isFinite(v) ? v : { $type: 'number', value: String(v) };
+  if (typeof v === 'string' || typeof v === 'boolean') return v;
+  if (typeof v !== 'object') return { $type: typeof v };
+  const type = temporalTypeOf(v);
+  if (type === 'ZonedDateTime') return { $type: type, value: toStr(v), epochNanoseconds: String(v.epochNanoseconds) };
+  if (type) return { $type: type, value: toStr(v) };
+  if (depth >= 4) return { $type: 'object' };
+  if (Array.isArray(v)) return v.map(item => serializeValue(item, depth + 1));
+  const bag = {};
+  for (const key of Object.keys(v)) bag[key] = serializeValue(v[key], depth + 1);
+  return bag;
+}
+
+// Inverse of serializeValue() for the records it can round-trip
+export function deserializeValue(v) {
+  if (v === null || typeof v !== 'object') return v;
+  if (Array.isArray(v)) return v.map(deserializeValue);
+  if ('$type' in v) {
+    if (v.$type === 'bigint') return BigInt(v.value);
+    if (v.$type === 'number') return Number(v.value);
+    if (typeof Temporal[v.$type]?.from === 'function') return Temporal[v.$type].from(v.value);
+    throw new TypeError(`cannot rebuild a ${v.$type} argument`);
+  }
+  return Object.fromEntries(Object.entries(v).map(([key, value]) => [key, deserializeValue(value)]));
+}
+
+/** Run a call record against the polyfill and return the raw result. */
+export function invokeCall(call) {
+  const Class = Temporal[call.type];
+  const args = call.args.map(deserializeValue);
+  if (call.options !== null) {
+    args.length = OPTIONS_ARG[call.method] ?? args.length;
+    args.push(deserializeValue(call.options));
+  }
+  if (call.method === 'constructor') return new Class(...args);
+  if (call.property) return Class.from(call.receiver)[call.method];
+  if (call.receiver === null) return Class[call.method](...args);
+  return Class.from(call.receiver)[call.method](...args);
+}
+
+/**
+ * Load the JS error → PHP exception rules (tools/test262-exceptions.json) and
+ * return a lookup `(errorName, message) => exception FQCN | null`.
+ */
+export function loadExceptionRules(path) {
+  const rules = JSON.parse(readFileSync(path, 'utf8'))
+    .rules.map(r => ({ ...r, message: r.message ? new RegExp(r.message) : null }));
+  return (error, message) =>
+    rules.find(r => r.error === error && (!r.message || r.message.test(message)))?.exception ?? null;
+}
@@ -0,0 +1,86 @@
+<?php
+
+declare(strict_types = 1);
+
+/**
+ * Long-lived PHP side of tools/fuzz-temporal.mjs, tools/generate-test262-tests.mjs
+ * and tools/test262-bridge.mjs.
+ *
+ * Reads one JSON request per line on STDIN and answers each with one JSON
+ * line on STDOUT, so the tools pay PHP's start-up cost once per run:
+ *
+ *   {"id": 1, "op": "call", "call": {"type": …, "method": …, …}}
+ *   → {"id": 1, "ok": true, "result": …}
+ *   → {"id": 1, "ok": false, "error": "Temporal\\Exception\\DateRangeException", "message": "…"}
+ *   → {"id": 1, "unsupported": "…"}
+ *
+ *   {"id": 2, "op": "render", "call": {…}}
+ *   → {"id": 2, "ok": true, "code": "PlainDate::from('2020-02-29')->add(['years' => 1])"}
+ *
+ *   {"id": 3, "op": "invoke", "call": {"type": …, "receiver": {"$handle": 1}, …}}
+ *   → {"id": 3, "ok": true, "result": {"$handle": 2, "$type": "PlainDate"}}
+ *   {"id": 4, "op": "get", "handle": 2, "property": "monthCode"}
+ *   {"id": 5, "op": "release"}
+ *
+ * Call records are replayed (or rendered as PHP source) by Temporal\Tests\Support\CallReplayer;
+ * invoke/get/release keep objects between requests in Temporal\Tests\Support\ObjectBridge.
+ */
+
+use Temporal\Tests\Support\CallReplayer;
+use Temporal\Tests\Support\ObjectBridge;
+use Temporal\Tests\Support\UnreplayableCallException;
+
+require dirname(__DIR__) . '/vendor/autoload.php';
+
+/**
+ * @param array<string, mixed> $request
+ * @return array<string, mixed>
+ */
+function handle(array $request, ObjectBridge $bridge): array
+{
+    $op = $request['op'] ?? null;
+    $call = $request['call'] ?? null;
+    $needsCall = in_array($op, ['call', 'render', 'invoke'], true);
+    if ($needsCall && !is_array($call) || !$needsCall && !in_array($op, ['get', 'release'], true)) {
+        return ['ok' => false, 'error' => 'protocol', 'message' => 'Unknown request op: ' . json_encode($op)];
+    }
+
+    try {
+        return match ($op) {
+            'render' => ['ok' => true, 'code' => CallReplayer::render($call)],
+            'invoke' => ['ok' => true, 'result' => $bridge->invoke($call)],
+            'get' => [
+                'ok' => true,
+                'result' => $bridge->get((int) ( $request['handle'] ?? 0 ), (string) ( $request['property'] ?? '' )),
+            ],
+            'release' => ['ok' => true, 'result' => $bridge->release()],
+            default => ['ok' => true, 'result' => CallReplayer::encode(CallReplayer::replay($call))],
+        };
+    } catch (UnreplayableCallException $e) {
+        return ['unsupported' => $e->getMessage()];
+    } catch (\Throwable $e) {
+        return ['ok' => false, 'error' => $e::class, 'message' => $e->getMessage()];
+    }
+}
+
+$bridge = new ObjectBridge();
+
+while (( $line = fgets(STDIN) ) !== false) {
+    if (trim($line) === '') {
+        continue;
+    }
+
+    $request = json_decode($line, true);
+    $response = is_array($request)
+        ? ['id' => $request['id'] ?? null, ...handle($request, $bridge)]
+        : ['id' => null, 'ok' => false, 'error' => 'protocol', 'message' => 'Request is not a JSON object'];
+
+    $json = json_encode($response, JSON_UNESCAPED_SLASHES);
+    if ($json === false) {
+        $error = ['ok' => false, 'error' => 'protocol', 'message' => json_last_error_msg()];
+        $json = json_encode(['id' => $response['id'], ...$error]);
+    }
+
+    fwrite(STDOUT, $json . "\n");
+    fflush(STDOUT);
+}
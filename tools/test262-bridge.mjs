@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+/**
+ * test262 bridge: run test262 files unmodified against the PHP implementation
+ *
+ * Extraction (tools/extract-test262.mjs) only keeps what a test asserts about
+ * single calls, so logic that lives in JS loops and conditionals never reaches
+ * the PHP suite. This tool runs the file itself instead: each test262 file gets
+ * a fresh VM context with test262's own harness (assert.js, sta.js and the
+ * file's includes, e.g. temporalHelpers.js) and a `Temporal` global whose
+ * classes are thin proxies. Every constructor call, method call and getter is
+ * forwarded to one long-lived tools/temporal-worker.php, which keeps the PHP
+ * objects and hands back opaque handles; PHP exceptions come back as the JS
+ * error tools/test262-exceptions.json maps them from. The harness then passes
+ * or fails on what PHP actually does.
+ *
+ * Each file is reported as:
+ *   PASS         the file ran to the end
+ *   FAIL         it threw (an assertion failed, or PHP threw where JS would not)
+ *   UNSUPPORTED  it cannot say anything about PHP: the extractor's classifier
+ *                skips it (same reason codes), or it reached a call, option or
+ *                property the PHP API has no counterpart for (`php:<what>`)
+ *
+ * Files are picked like the extractor's (tools/test262-targets.mjs) and run one
+ * at a time against a single PHP worker; handles are released after each file.
+ * The exit code is 1 if any file failed.
+ *
+ * Usage: node tools/test262-bridge.mjs [--target=PlainDate|PlainDate.add] [--php=<binary>]
+ *        [--timeout=<ms>] [--json=<path>]
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname, relative, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import vm from 'vm';
+import { OPTIONS_ARG } from './temporal-calls.mjs';
+import { classifyTest } from './test262-runner.mjs';
+import { TARGET_CONFIG, discoverTargets, walkDir, matchesTarget } from './test262-targets.mjs';
+import { startSyncPhpWorker } from './php-worker-sync.mjs';
+
+const require = createRequire(import.meta.url);
+// Only the API surface is taken from the polyfill; nothing is run against it
+const { Temporal } = require('@js-temporal/polyfill');
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+const TEST262_DIR = join(ROOT, 'tests/test262');
+const HARNESS_DIR = join(TEST262_DIR, 'harness');
+
+const args = process.argv.slice(2);
+const targetArg = args.find(a => a.startsWith('--target='))?.split('=')[1] ?? null;
+const PHP = args.find(a => a.startsWith('--php='))?.split('=')[1] ?? 'php';
+// --timeout=<ms> a file may run in the VM; a single PHP call gets twice that
+const TIMEOUT = Number(args.find(a => a.startsWith('--timeout='))?.split('=')[1]) || 5000;
+// --json=<path> also writes the per-file results as JSON
+const jsonArg = args.find(a => a.startsWith('--json='))?.split('=')[1] ?? null;
+
+// ── Errors ────────────────────────────────────────────────────────────────────
+// tools/test262-exceptions.json maps JS errors to PHP exceptions; read
+// backwards it names the JS error a PHP exception stands for. Where several
+// rules name one exception the later, more general rule wins.
+
+const PHP_ERRORS = { ArgumentCountError: 'TypeError', ValueError: 'RangeError' };
+
+function loadErrorNames(path) {
+  const byException = { ...PHP_ERRORS };
+  for (const rule of JSON.parse(readFileSync(path, 'utf8')).rules) byException[rule.exception] = rule.error;
+  return exception => byException[exception] ?? 'Error';
+}
+
+const jsErrorFor = loadErrorNames(join(__dirname, 'test262-exceptions.json'));
+
+// Thrown into the test file when PHP has no counterpart for what it asked
+// for; the file is reported UNSUPPORTED even if the test catches it
+class Unsupported extends Error {}
+
+// ── Temporal proxies ──────────────────────────────────────────────────────────
+
+/**
+ * Build the `Temporal` global for one file. `realm` holds the context's own
+ * error constructors, so assert.throws() sees the errors it expects;
+ * `session.unsupported` records the first thing PHP could not do.
+ */
+function createTemporal(worker, realm, session) {
+  const handles = new WeakMap(); // proxy object → { id, type }
+  const classes = {};
+
+  function unsupported(what) {
+    session.unsupported ??= what;
+    return new Unsupported(what);
+  }
+
+  function wrap(type, id) {
+    const object = Object.create(classes[type].prototype);
+    handles.set(object, { id, type });
+    return object;
+  }
+
+  function encode(value, depth = 0) {
+    if (value === undefined || value === null) return null;
+    const handle = handles.get(value);
+    if (handle) return { $handle: handle.id };
+    switch (typeof value) {
+      case 'bigint':
+        return { $type: 'bigint', value: String(value) };
+      case 'number':
+        return Number.isFinite(value) ? value : { $type: 'number', value: String(value) };
+      case 'string':
+      case 'boolean':
+        return value;
+      case 'object':
+        if (depth >= 4) throw unsupported('deeply nested argument');
+        if (Array.isArray(value)) return value.map(item => encode(item, depth + 1));
+        return Object.fromEntries(Object.keys(value).map(key => [key, encode(value[key], depth + 1)]));
+      default:
+        throw unsupported(`${typeof value} argument`);
+    }
+  }
+
+  function decode(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(decode);
+    if ('$handle' in value) return wrap(value.$type, value.$handle);
+    if (value.$type === 'bigint') return BigInt(value.value);
+    if (value.$type === 'number') return Number(value.value);
+    if ('$type' in value) throw unsupported(`${value.$type} result`);
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, decode(v)]));
+  }
+
+  function request(payload) {
+    const response = worker.request(payload);
+    if (response.ok) return decode(response.result);
+    if (response.unsupported !== undefined) throw unsupported(response.unsupported);
+    const ErrorClass = realm[jsErrorFor(response.error)] ?? realm.Error;
+    throw new ErrorClass(`${response.message} (${response.error})`);
+  }
+
+  function invoke(type, method, receiver, callArgs) {
+    const optIdx = OPTIONS_ARG[method] ?? -1;
+    const call = {
+      type,
+      method,
+      receiver: receiver === null ? null : { $handle: receiver },
+      args: (optIdx >= 0 ? callArgs.slice(0, optIdx) : callArgs).map(a => encode(a)),
+      options: optIdx >= 0 && optIdx < callArgs.length ? encode(callArgs[optIdx]) : null,
+    };
+    return request({ op: 'invoke', call });
+  }
+
+  function handleOf(object, type, name) {
+    const handle = handles.get(object);
+    if (handle?.type !== type) throw new realm.TypeError(`Temporal.${type}.prototype.${name} called on a wrong receiver`);
+    return handle.id;
+  }
+
+  for (const [type, Polyfill] of Object.entries(Temporal)) {
+    if (typeof Polyfill !== 'function') continue; // Temporal.Now
+
+    const Class = function (...callArgs) {
+      if (!new.target) throw new realm.TypeError(`Constructor Temporal.${type} requires 'new'`);
+      return invoke(type, 'constructor', null, callArgs);
+    };
+    Object.defineProperty(Class, 'name', { value: type });
+    for (const name of Object.getOwnPropertyNames(Polyfill)) {
+      if (typeof Polyfill[name] !== 'function') continue;
+      Class[name] = { [name]: (...callArgs) => invoke(type, name, null, callArgs) }[name];
+    }
+
+    const proto = Class.prototype;
+    for (const name of Object.getOwnPropertyNames(Polyfill.prototype)) {
+      if (name === 'constructor') continue;
+      const { get, value } = Object.getOwnPropertyDescriptor(Polyfill.prototype, name);
+      if (get) {
+        Object.defineProperty(proto, name, {
+          get() {
+            const result = request({ op: 'get', handle: handleOf(this, type, name), property: name });
+            return result === null ? undefined : result;
+          },
+          configurable: true,
+        });
+      } else if (typeof value === 'function') {
+        proto[name] = {
+          [name](...callArgs) {
+            const handle = handleOf(this, type, name);
+            // Temporal objects refuse to be compared with < and >
+            if (name === 'valueOf') throw new realm.TypeError(`use compare() or equals() to compare Temporal.${type}`);
+            if (name === 'toLocaleString') throw unsupported(`${type}.toLocaleString`);
+            return invoke(type, name, handle, callArgs);
+          },
+        }[name];
+      }
+    }
+    Object.defineProperty(proto, Symbol.toStringTag, { value: `Temporal.${type}`, configurable: true });
+    classes[type] = Class;
+  }
+
+  return Object.defineProperty({ ...classes }, Symbol.toStringTag, { value: 'Temporal', configurable: true });
+}
+
+// ── Per-file runs ─────────────────────────────────────────────────────────────
+
+const harnessCache = new Map();
+
+function harness(include) {
+  if (!harnessCache.has(include)) harnessCache.set(include, readFileSync(join(HARNESS_DIR, include), 'utf8'));
+  return harnessCache.get(include);
+}
+
+function describeError(error) {
+  if (error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return `timeout after ${TIMEOUT} ms`;
+  if (error !== null && typeof error === 'object') return `${error.constructor?.name ?? 'Error'}: ${error.message}`;
+  return `threw ${String(error)}`;
+}
+
+function runFile(worker, filePath, calendars) {
+  const source = readFileSync(filePath, 'utf8');
+  const classification = classifyTest(filePath, source, calendars);
+  if (!classification.translatable) return { status: 'unsupported', reason: classification.reason };
+
+  const { attrs } = classification;
+  const context = vm.createContext({});
+  const realm = vm.runInContext('({ Error, TypeError, RangeError })', context);
+  const session = { unsupported: null };
+  context.Temporal = createTemporal(worker, realm, session);
+
+  let error = null;
+  try {
+    for (const include of ['assert.js', 'sta.js', ...(attrs.includes ?? [])]) {
+      vm.runInContext(harness(include), context, { filename: include });
+    }
+    const prologue = attrs.flags?.onlyStrict ? '"use strict";\n' : '';
+    vm.runInContext(prologue + source, context, { filename: filePath, timeout: TIMEOUT });
+  } catch (e) {
+    error = e;
+  } finally {
+    worker.request({ op: 'release' });
+  }
+
+  if (session.unsupported) return { status: 'unsupported', reason: `php:${session.unsupported}` };
+  if (error) return { status: 'fail', reason: describeError(error) };
+  return { status: 'pass' };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+if (!existsSync(join(HARNESS_DIR, 'assert.js'))) {
+  console.error(`test262 harness not found in ${relative(ROOT, HARNESS_DIR)}/ (is the test262 checkout there?)`);
+  process.exit(1);
+}
+
+const files = discoverTargets(TEST262_DIR)
+  .filter(t => matchesTarget(t, targetArg))
+  .flatMap(t => walkDir(join(TEST262_DIR, t.source), t.recursive).sort());
+if (files.length === 0) {
+  console.error(`No test262 files found${targetArg ? ` for --target=${targetArg}` : ''}.`);
+  process.exit(1);
+}
+
+const calendars = new Set(TARGET_CONFIG.calendars ?? ['iso8601']);
+const worker = startSyncPhpWorker({ php: PHP, timeout: 2 * TIMEOUT });
+const results = {};
+const counts = { pass: 0, fail: 0, unsupported: 0 };
+const reasons = {};
+const LABELS = { pass: 'PASS', fail: 'FAIL', unsupported: 'UNSUPPORTED' };
+
+try {
+  for (const filePath of files) {
+    const path = relative(TEST262_DIR, filePath);
+    const result = runFile(worker, filePath, calendars);
+    results[path] = result;
+    counts[result.status]++;
+    if (result.status === 'unsupported') reasons[result.reason] = (reasons[result.reason] ?? 0) + 1;
+    console.log(`[${LABELS[result.status]}] ${path}${result.reason ? ` — ${result.reason}` : ''}`);
+  }
+} finally {
+  await worker.close();
+}
+
+console.log(`\nDone: ${files.length} file(s) — ${counts.pass} passed, ${counts.fail} failed, ${counts.unsupported} unsupported.`);
+if (counts.unsupported > 0) {
+  console.log('Unsupported:');
+  for (const [reason, n] of Object.entries(reasons).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))) {
+    console.log(`  ${String(n).padStart(5)}  ${reason}`);
+  }
+}
+
+if (jsonArg) {
+  writeFileSync(resolve(jsonArg), JSON.stringify({ target: targetArg, counts, results }, null, 2) + '\n');
+  console.log(`Results written to ${jsonArg}`);
+}
+
+process.exitCode = counts.fail > 0 ? 1 : 0;
@@ -0,0 +1,137 @@
+/**
+ * Worker thread pool for the test262 extractor
+ *
+ * Each worker loads tools/test262-runner.mjs once and handles one file at a
+ * time. A file that does not finish within its deadline gets its worker
+ * terminated and is reported as a `runtime-timeout` skip; a worker that dies
+ * mid-file (out of memory, a crash in native code) reports `runtime-crash`.
+ * Either way a fresh worker takes over the rest of the queue. Results resolve
+ * per file, so the caller decides the order they are merged in.
+ */
+
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import { createFileRunner } from './test262-runner.mjs';
+
+// ── Worker side ───────────────────────────────────────────────────────────────
+// Results go back as JSON text: that is what they are written as in the end,
+// and a value JSON cannot hold fails here rather than in postMessage().
+if (!isMainThread) {
+  const runFile = createFileRunner(workerData);
+  parentPort.on('message', ({ filePath, target }) => {
+    let result;
+    try {
+      result = runFile(filePath, target);
+    } catch (e) {
+      result = { esid: null, status: 'skipped', reason: 'runtime-crash', error: String(e?.message ?? e) };
+    }
+    parentPort.postMessage(JSON.stringify(result));
+  });
+  parentPort.postMessage('ready');
+}
+
+// ── Pool ──────────────────────────────────────────────────────────────────────
+
+// Heap ceiling per worker, so one runaway file crashes its worker, not the run
+const WORKER_HEAP_MB = 512;
+
+/**
+ * @param {{size?: number, timeout?: number, exceptions: string, calendars?: string[]}} options
+ *   size: number of workers; timeout: ms a file may run (the VM timeout, with
+ *   the same again as grace before its worker is terminated); the rest is
+ *   passed to createFileRunner()
+ * @returns {{run(task: {filePath: string, target: object}): Promise<object|null>, close(): Promise<void>}}
+ */
+export function startWorkerPool({ size = 1, timeout = 5000, ...options }) {
+  const queue = [];
+  let failure = null;
+  let closed = false;
+  const slots = Array.from({ length: Math.max(1, size) }, () => {
+    const slot = { worker: null, ready: false, job: null, timer: null };
+    start(slot);
+    return slot;
+  });
+
+  function start(slot) {
+    const worker = new Worker(fileURLToPath(import.meta.url), {
+      workerData: { ...options, timeout },
+      resourceLimits: { maxOldGenerationSizeMb: WORKER_HEAP_MB },
+    });
+    let lastError = null;
+    Object.assign(slot, { worker, ready: false });
+
+    worker.on('message', message => {
+      if (slot.worker !== worker) return;
+      if (message === 'ready') {
+        slot.ready = true;
+      } else if (slot.job) {
+        settle(slot, JSON.parse(message));
+      }
+      dispatch(slot);
+    });
+    worker.on('error', error => {
+      lastError = error;
+    });
+    worker.on('exit', code => {
+      if (slot.worker !== worker || closed) return;
+      if (!slot.ready) {
+        // Failing before the first file means every worker would
+        fail(lastError ?? new Error(`test262 worker exited (code ${code}) during startup`));
+        return;
+      }
+      if (slot.job) {
+        const error = lastError?.message ?? `worker exited with code ${code}`;
+        settle(slot, { esid: null, status: 'skipped', reason: 'runtime-crash', error });
+      }
+      start(slot);
+    });
+  }
+
+  function settle(slot, result) {
+    clearTimeout(slot.timer);
+    const { resolve } = slot.job;
+    slot.job = null;
+    resolve(result);
+  }
+
+  function dispatch(slot) {
+    if (!slot.ready || slot.job || queue.length === 0) return;
+    const job = queue.shift();
+    slot.job = job;
+    slot.timer = setTimeout(() => {
+      const { worker } = slot;
+      settle(slot, {
+        esid: null, status: 'skipped', reason: 'runtime-timeout', error: `no result within ${2 * timeout} ms`,
+      });
+      start(slot);
+      worker.terminate();
+    }, 2 * timeout);
+    slot.worker.postMessage(job.task);
+  }
+
+  function fail(error) {
+    failure = error;
+    for (const job of queue.splice(0)) job.reject(error);
+    for (const slot of slots) {
+      if (slot.job) {
+        clearTimeout(slot.timer);
+        slot.job.reject(error);
+        slot.job = null;
+      }
+    }
+  }
+
+  return {
+    run(task) {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        for (const slot of slots) dispatch(slot);
+      });
+    },
+    async close() {
+      closed = true;
+      await Promise.all(slots.map(slot => slot.worker.terminate()));
+    },
+  };
+}
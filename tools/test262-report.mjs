@@ -0,0 +1,193 @@
+/**
+ * test262 conformance coverage report
+ *
+ * Aggregates the per-file records collected by tools/extract-test262.mjs into
+ * per type → method → esid tables of test262 files seen, extracted, skipped
+ * (grouped by reason), assertion counts and quarantined assertions (with the
+ * reason), and renders them as Markdown.
+ * Reports carry no timestamps so a refresh only changes when coverage does.
+ */
+
+function emptyCounts() {
+  return { files: 0, extracted: 0, skipped: 0, assertions: 0, quarantined: 0, skipReasons: {} };
+}
+
+function addRecord(counts, record) {
+  counts.files++;
+  counts.assertions += record.assertions;
+  counts.quarantined += record.quarantined?.length ?? 0;
+  if (record.status === 'extracted') {
+    counts.extracted++;
+  } else {
+    counts.skipped++;
+    counts.skipReasons[record.reason] = (counts.skipReasons[record.reason] ?? 0) + 1;
+  }
+}
+
+function sortedReasons(skipReasons) {
+  return Object.fromEntries(
+    Object.entries(skipReasons).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])),
+  );
+}
+
+/**
+ * @param {Array<{type, method, esid, file, status, reason, assertions, quarantined?: string[]}>} records
+ * @param {{test262: string|null, polyfill: string}} provenance
+ */
+export function buildReport(records, provenance) {
+  const totals = emptyCounts();
+  const targets = new Map();
+
+  for (const record of records) {
+    addRecord(totals, record);
+
+    const key = `${record.type}.${record.method}`;
+    if (!targets.has(key)) {
+      targets.set(key, {
+        type: record.type, method: record.method, ...emptyCounts(), esids: new Map(), skippedFiles: [], quarantinedAssertions: [],
+      });
+    }
+    const target = targets.get(key);
+    addRecord(target, record);
+
+    const esid = record.esid ?? '(none)';
+    if (!target.esids.has(esid)) target.esids.set(esid, { esid, ...emptyCounts() });
+    addRecord(target.esids.get(esid), record);
+
+    if (record.status === 'skipped') target.skippedFiles.push({ file: record.file, reason: record.reason });
+    for (const reason of record.quarantined ?? []) target.quarantinedAssertions.push({ file: record.file, reason });
+  }
+
+  return {
+    test262: provenance.test262,
+    polyfill: provenance.polyfill,
+    totals: { ...totals, skipReasons: sortedReasons(totals.skipReasons) },
+    targets: [...targets.keys()].sort().map(key => {
+      const target = targets.get(key);
+      return {
+        ...target,
+        skipReasons: sortedReasons(target.skipReasons),
+        esids: [...target.esids.keys()].sort().map(esid => {
+          const entry = target.esids.get(esid);
+          return { ...entry, skipReasons: sortedReasons(entry.skipReasons) };
+        }),
+        skippedFiles: target.skippedFiles.sort((a, b) => a.file.localeCompare(b.file)),
+        quarantinedAssertions: target.quarantinedAssertions.sort((a, b) => a.file.localeCompare(b.file)),
+      };
+    }),
+  };
+}
+
+/**
+ * Per-target differences between two reports; targets that did not change are
+ * left out.
+ */
+export function compareReports(previous, current) {
+  const before = new Map(previous.targets.map(t => [`${t.type}.${t.method}`, t]));
+  const after = new Map(current.targets.map(t => [`${t.type}.${t.method}`, t]));
+  const changes = [];
+
+  for (const key of [...new Set([...before.keys(), ...after.keys()])].sort()) {
+    const was = before.get(key) ?? emptyCounts();
+    const now = after.get(key) ?? emptyCounts();
+    const delta = {
+      target: key,
+      files: [was.files, now.files],
+      extracted: [was.extracted, now.extracted],
+      assertions: [was.assertions, now.assertions],
+    };
+    if (was.files !== now.files || was.extracted !== now.extracted || was.assertions !== now.assertions) {
+      changes.push(delta);
+    }
+  }
+  return changes;
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+export function formatChanges(changes) {
+  if (changes.length === 0) return ['No coverage changes since the previous report.'];
+  return changes.map(({ target, extracted, assertions }) =>
+    `  ${target}: extracted ${extracted[0]} → ${extracted[1]} (${signed(extracted[1] - extracted[0])}), ` +
+    `assertions ${assertions[0]} → ${assertions[1]} (${signed(assertions[1] - assertions[0])})`,
+  );
+}
+
+function percent(part, whole) {
+  return whole === 0 ? '–' : `${Math.round((part / whole) * 100)}%`;
+}
+
+function topReasons(skipReasons, limit = 3) {
+  const entries = Object.entries(skipReasons);
+  if (entries.length === 0) return '';
+  const shown = entries.slice(0, limit).map(([reason, count]) => `${reason} (${count})`);
+  if (entries.length > limit) shown.push(`+${entries.length - limit} more`);
+  return shown.join(', ');
+}
+
+export function renderMarkdown(report, previous = null) {
+  const { totals } = report;
+  const lines = [
+    '# test262 conformance coverage',
+    '',
+    `test262 \`${report.test262 ?? 'unknown'}\`, @js-temporal/polyfill ${report.polyfill}.`,
+    '',
+    '| Files | Extracted | Skipped | Assertions | Quarantined | Coverage |',
+    '|------:|----------:|--------:|-----------:|------------:|---------:|',
+    `| ${totals.files} | ${totals.extracted} | ${totals.skipped} | ${totals.assertions} | ${totals.quarantined} ` +
+      `| ${percent(totals.extracted, totals.files)} |`,
+    '',
+  ];
+
+  if (previous) {
+    const changes = compareReports(previous, report);
+    lines.push('## Changes since previous report', '');
+    if (changes.length === 0) {
+      lines.push('No coverage changes.', '');
+    } else {
+      lines.push('| Target | Files | Extracted | Assertions |', '|--------|------:|----------:|-----------:|');
+      for (const { target, files, extracted, assertions } of changes) {
+        lines.push(
+          `| ${target} | ${files[1]} (${signed(files[1] - files[0])}) ` +
+          `| ${extracted[1]} (${signed(extracted[1] - extracted[0])}) ` +
+          `| ${assertions[1]} (${signed(assertions[1] - assertions[0])}) |`,
+        );
+      }
+      lines.push('');
+    }
+  }
+
+  lines.push('## Skip reasons', '', '| Reason | Files |', '|--------|------:|');
+  for (const [reason, count] of Object.entries(totals.skipReasons)) lines.push(`| \`${reason}\` | ${count} |`);
+  lines.push('');
+
+  const quarantined = report.targets.flatMap(t => (t.quarantinedAssertions ?? []).map(q => ({ target: `${t.type}.${t.method}`, ...q })));
+  if (quarantined.length > 0) {
+    lines.push('## Quarantined assertions', '', '| Target | File | Reason |', '|--------|------|--------|');
+    for (const q of quarantined) lines.push(`| ${q.target} | \`${q.file}\` | ${q.reason.replaceAll('|', '\\|')} |`);
+    lines.push('');
+  }
+
+  const types = [...new Set(report.targets.map(t => t.type))];
+  for (const type of types) {
+    lines.push(
+      `## ${type}`,
+      '',
+      '| Method | esid | Files | Extracted | Skipped | Assertions | Skip reasons |',
+      '|--------|------|------:|----------:|--------:|-----------:|--------------|',
+    );
+    for (const target of report.targets.filter(t => t.type === type)) {
+      for (const entry of target.esids) {
+        lines.push(
+          `| ${target.method} | \`${entry.esid}\` | ${entry.files} | ${entry.extracted} | ${entry.skipped} ` +
+          `| ${entry.assertions} | ${topReasons(entry.skipReasons)} |`,
+        );
+      }
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
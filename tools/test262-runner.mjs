@@ -0,0 +1,782 @@
+/**
+ * Per-file half of the test262 extractor
+ *
+ * Classifies a test262 file from its frontmatter and AST, runs translatable
+ * ones in a fresh VM context against an instrumented @js-temporal/polyfill and
+ * captures their assertions together with the Temporal call behind each one.
+ * tools/test262-pool.mjs runs it inside worker threads; tools/extract-test262.mjs
+ * turns the results into fixtures.
+ */
+
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+import vm from 'vm';
+import * as acorn from 'acorn';
+import {
+  OPTIONS_ARG, toStr, serializeValue, temporalState, temporalTypeOf, loadExceptionRules,
+} from './temporal-calls.mjs';
+
+const require = createRequire(import.meta.url);
+const { Temporal } = require('@js-temporal/polyfill');
+const test262Parser = require('test262-parser');
+
+// ── Test classification ───────────────────────────────────────────────────
+// Each file is classified from its YAML frontmatter and the AST of its body
+// before it is run. A file is either translatable or skipped with a
+// machine-readable reason: `js-internal:<what>` for behaviour that has no PHP
+// equivalent, `needs-feature:<what>` for things this harness cannot provide.
+
+// Harness includes the VM context provides (as captures or stubs)
+export const SUPPORTED_INCLUDES = new Set(['assert.js', 'sta.js', 'temporalHelpers.js', 'compareArray.js']);
+
+const INTERNAL_INCLUDES = {
+  'propertyHelper.js': 'property-descriptor',
+  'isConstructor.js': 'constructor',
+  'wellKnownIntrinsicObjects.js': 'intrinsics',
+  'nativeFunctionMatcher.js': 'function-source',
+  'detachArrayBuffer.js': 'detached-buffer',
+};
+
+const INTERNAL_FEATURES = {
+  'Proxy': 'proxy-observation',
+  'Reflect': 'reflect',
+  'Reflect.construct': 'subclassing',
+  'Symbol': 'symbol',
+  'Symbol.toPrimitive': 'type-coercion',
+  'Symbol.toStringTag': 'symbol',
+  'Symbol.species': 'subclassing',
+  'Symbol.iterator': 'symbol',
+  'class': 'subclassing',
+};
+
+const UNSUPPORTED_FEATURES = new Set([
+  'cross-realm', 'host-gc-required', 'Atomics', 'SharedArrayBuffer',
+  'FinalizationRegistry', 'WeakRef', 'async-functions', 'async-iteration',
+]);
+
+// `Object.X(...)` helpers that inspect property descriptors and prototypes
+const DESCRIPTOR_FUNCTIONS = new Set([
+  'getOwnPropertyDescriptor', 'getOwnPropertyDescriptors', 'defineProperty',
+  'defineProperties', 'getOwnPropertyNames', 'getPrototypeOf', 'setPrototypeOf',
+  'isExtensible', 'isFrozen', 'isSealed', 'preventExtensions',
+]);
+
+// TemporalHelpers that observe property reads and calls (order of operations)
+const OBSERVER_HELPERS = /observ|Observer|checkSubclass|checkToTemporal|checkCalendar|toPrimitiveObserver|propertyBag/;
+
+// CLDR calendar IDs test262 may use; a file naming a known calendar the PHP
+// port does not implement (`calendars` in tools/test262-targets.json), as an
+// ID or a `[u-ca=…]` annotation, needs that calendar
+const KNOWN_CALENDARS = new Set([
+  'buddhist', 'chinese', 'coptic', 'dangi', 'ethioaa', 'ethiopic', 'gregory', 'hebrew', 'indian',
+  'islamic', 'islamic-civil', 'islamic-rgsa', 'islamic-tbla', 'islamic-umalqura', 'islamicc',
+  'iso8601', 'japanese', 'persian', 'roc',
+]);
+
+function unsupportedCalendarIn(text, calendars) {
+  const ids = [text.toLowerCase(), ...[...text.matchAll(/\[!?u-ca=([^\]]*)\]/g)].map(m => m[1].toLowerCase())];
+  return ids.find(id => KNOWN_CALENDARS.has(id) && !calendars.has(id)) ?? null;
+}
+
+// Intl features the captured assertions cover (era/eraYear and monthCode)
+const SUPPORTED_INTL_FEATURES = new Set(['Intl.Era-monthcode']);
+
+// Property bags passing a hand-written object where a calendar/zone ID goes
+const CUSTOM_PROTOCOLS = { calendar: 'custom-calendar', timeZone: 'custom-time-zone' };
+
+const PROTOCOL_METHODS = new Set([
+  'dateAdd', 'dateUntil', 'dateFromFields', 'yearMonthFromFields', 'monthDayFromFields',
+  'fields', 'mergeFields', 'getOffsetNanosecondsFor', 'getPossibleInstantsFor',
+]);
+
+function parseFrontmatter(filePath, source) {
+  const parsed = test262Parser.parseFile({ file: filePath, contents: source });
+  return { attrs: parsed.attrs ?? {}, body: parsed.contents };
+}
+
+function walkAst(node, visit) {
+  if (node === null || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    for (const child of node) walkAst(child, visit);
+    return;
+  }
+  if (typeof node.type === 'string') visit(node);
+  for (const key of Object.keys(node)) {
+    if (key !== 'type' && key !== 'start' && key !== 'end') walkAst(node[key], visit);
+  }
+}
+
+function memberPath(node) {
+  if (node?.type === 'Identifier') return node.name;
+  if (node?.type === 'MemberExpression' && !node.computed) {
+    const object = memberPath(node.object);
+    return object === null ? null : `${object}.${node.property.name}`;
+  }
+  return null;
+}
+
+function propertyKey(prop) {
+  if (prop.type !== 'Property') return null;
+  if (prop.computed) return memberPath(prop.key);
+  return prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value);
+}
+
+const SAME_VALUE_CALLS = new Set(['Object.is', 'assert.sameValue', 'assert.notSameValue']);
+
+// First AST-level reason this body cannot be translated, or null
+function classifyBody(body, calendars) {
+  let ast;
+  try {
+    ast = acorn.parse(body, { ecmaVersion: 'latest', sourceType: 'script', allowReturnOutsideFunction: true });
+  } catch (_) {
+    return 'js-internal:syntax';
+  }
+
+  let reason = null;
+  walkAst(ast, node => {
+    if (reason) return;
+    switch (node.type) {
+      case 'NewExpression':
+        if (memberPath(node.callee) === 'Proxy') reason = 'js-internal:proxy-observation';
+        break;
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        if (memberPath(node.superClass)?.startsWith('Temporal.')) reason = 'js-internal:subclassing';
+        break;
+      case 'MemberExpression': {
+        const path = memberPath(node);
+        if (path?.startsWith('Reflect.')) reason = 'js-internal:reflect';
+        else if (path?.startsWith('Symbol.')) reason = 'js-internal:symbol';
+        else if (path === '$262.createRealm') reason = 'needs-feature:cross-realm';
+        else if (path === '$262.detachArrayBuffer') reason = 'js-internal:detached-buffer';
+        break;
+      }
+      case 'CallExpression': {
+        const path = memberPath(node.callee) ?? '';
+        const [owner, fn] = [path.slice(0, path.lastIndexOf('.')), path.slice(path.lastIndexOf('.') + 1)];
+        if (owner === 'Object' && DESCRIPTOR_FUNCTIONS.has(fn)) reason = 'js-internal:property-descriptor';
+        else if (/^verify(Property|NotEnumerable|NotWritable|NotConfigurable)/.test(path)) reason = 'js-internal:property-descriptor';
+        else if (path === 'isConstructor') reason = 'js-internal:constructor';
+        else if (owner === 'TemporalHelpers' && OBSERVER_HELPERS.test(fn)) reason = 'js-internal:observer';
+        else if ((fn === 'call' || fn === 'apply') && owner.includes('.prototype.')) reason = 'js-internal:this-binding';
+        // SameValue(NaN, NaN) holds where PHP's NaN !== NaN; NaN and Infinity
+        // as arguments (rejected out-of-range values) are fine
+        else if (SAME_VALUE_CALLS.has(path) && node.arguments.some(a => a.type === 'Identifier' && a.name === 'NaN')) {
+          reason = 'js-internal:number-semantics';
+        }
+        break;
+      }
+      case 'Literal':
+      case 'TemplateElement': {
+        const text = node.type === 'Literal' ? node.value : node.value.cooked;
+        const calendar = typeof text === 'string' ? unsupportedCalendarIn(text, calendars) : null;
+        if (calendar) reason = `needs-feature:calendar-${calendar}`;
+        break;
+      }
+      case 'ObjectExpression':
+        for (const prop of node.properties) {
+          const key = propertyKey(prop);
+          if (key === 'valueOf' || key === 'toString' || key === 'Symbol.toPrimitive') reason = 'js-internal:type-coercion';
+          else if (CUSTOM_PROTOCOLS[key] && prop.value?.type === 'ObjectExpression') reason = `needs-feature:${CUSTOM_PROTOCOLS[key]}`;
+          else if (PROTOCOL_METHODS.has(key)) reason = 'needs-feature:custom-protocol';
+          if (reason) break;
+        }
+        break;
+    }
+  });
+  return reason;
+}
+
+/**
+ * Classify a test262 file.
+ * Returns { translatable: true, attrs } or { translatable: false, reason, attrs }.
+ */
+export function classifyTest(filePath, source, calendars) {
+  let attrs, body;
+  try {
+    ({ attrs, body } = parseFrontmatter(filePath, source));
+  } catch (_) {
+    return { translatable: false, reason: 'needs-feature:frontmatter', attrs: {} };
+  }
+  const skip = reason => ({ translatable: false, reason, attrs });
+
+  if (attrs.negative) return skip(`js-internal:negative-${attrs.negative.phase}`);
+
+  for (const flag of ['async', 'module', 'raw', 'CanBlockIsTrue']) {
+    if (attrs.flags?.[flag]) return skip(`needs-feature:${flag}`);
+  }
+
+  for (const include of attrs.includes ?? []) {
+    if (INTERNAL_INCLUDES[include]) return skip(`js-internal:${INTERNAL_INCLUDES[include]}`);
+    if (!SUPPORTED_INCLUDES.has(include)) return skip(`needs-feature:${include}`);
+  }
+
+  for (const feature of attrs.features ?? []) {
+    if (INTERNAL_FEATURES[feature]) return skip(`js-internal:${INTERNAL_FEATURES[feature]}`);
+    if (UNSUPPORTED_FEATURES.has(feature)) return skip(`needs-feature:${feature}`);
+    if (feature.startsWith('Intl.') && !SUPPORTED_INTL_FEATURES.has(feature)) return skip(`needs-feature:${feature}`);
+  }
+
+  const reason = classifyBody(body, calendars);
+  return reason ? skip(reason) : { translatable: true, attrs };
+}
+
+// ── Call recording ────────────────────────────────────────────────────────────
+// The polyfill's static and prototype methods and getters are wrapped once,
+// and the class constructors are exposed to the VM through Proxies. While a
+// test file runs, every outermost Temporal invocation (getter reads included,
+// recorded with `property: true`) is recorded on the active recorder so an
+// assertion can be linked to the call that produced its `actual` value.
+
+let activeRecorder = null;
+
+// Plain serialisations of an earlier result; an assertion on their output is
+// really an assertion on the call that produced the receiver. In a toString or
+// toJSON target both are what the test is about, so they stay recorded calls.
+const SERIALIZERS = new Set(['toString', 'toJSON', 'toLocaleString', 'valueOf']);
+const SERIALIZATION_TARGETS = new Set(['toString', 'toJSON']);
+
+function makeRecorder(target) {
+  const origins = new WeakMap();
+  let lastCall = null;
+  let lastResult;
+  let lastThrown = null;
+
+  return {
+    depth: 0,
+    // Set once a call touches a ZonedDateTime, i.e. the result depends on tzdata
+    usesTimeZone: false,
+    begin(type, method, receiver, args, isProperty) {
+      if (type === 'ZonedDateTime') this.usesTimeZone = true;
+      const optIdx = OPTIONS_ARG[method] ?? -1;
+      const call = {
+        type,
+        method,
+        receiver: receiver === null ? null : toStr(receiver),
+        args: (optIdx >= 0 ? args.slice(0, optIdx) : args).map(a => serializeValue(a)),
+        options: optIdx >= 0 && optIdx < args.length ? serializeValue(args[optIdx]) : null,
+      };
+      if (isProperty) call.property = true;
+      return call;
+    },
+    end(call, receiver, args, result) {
+      if (result !== null && typeof result === 'object') origins.set(result, call);
+      if (result instanceof Temporal.ZonedDateTime) this.usesTimeZone = true;
+      const isSerializer = SERIALIZERS.has(call.method) && args.length === 0 &&
+        !(SERIALIZATION_TARGETS.has(target.method) && SERIALIZATION_TARGETS.has(call.method));
+      lastCall = (isSerializer && origins.get(receiver)) || call;
+      lastResult = result;
+    },
+    // Run fn without recording the Temporal calls it makes (the capture's
+    // own toString() and getter reads)
+    quietly(fn) {
+      this.depth++;
+      try {
+        return fn();
+      } finally {
+        this.depth--;
+      }
+    },
+    fail(call) {
+      lastThrown = call;
+    },
+    // The outermost Temporal call that threw since the previous takeThrown()
+    takeThrown() {
+      const call = lastThrown;
+      lastThrown = null;
+      return call;
+    },
+    // Objects are linked to the call that created them, primitives to the
+    // most recent call (looking through argument-less toString() and friends)
+    // if it returned that very value. A primitive links to a call only once;
+    // null when the link is unknown.
+    callFor(actual) {
+      if (actual !== null && typeof actual === 'object') return origins.get(actual) ?? null;
+      const call = lastCall !== null && Object.is(lastResult, actual) ? lastCall : null;
+      lastCall = null;
+      return call;
+    },
+  };
+}
+
+function invokeRecorded(type, method, fn, receiver, args, construct, isProperty = false) {
+  const rec = activeRecorder;
+  const run = () => construct ? Reflect.construct(fn, args, construct) : fn.apply(receiver, args);
+  if (!rec || rec.depth > 0) return run();
+
+  rec.depth++;
+  try {
+    const call = rec.begin(type, method, construct ? null : receiver, args, isProperty);
+    let result;
+    try {
+      result = run();
+    } catch (e) {
+      rec.fail(call);
+      throw e;
+    }
+    rec.end(call, receiver, args, result);
+    return result;
+  } finally {
+    rec.depth--;
+  }
+}
+
+function wrapMethod(type, method, fn, isStatic) {
+  const wrapped = {
+    [method](...callArgs) {
+      return invokeRecorded(type, method, fn, isStatic ? null : this, callArgs, null);
+    },
+  }[method];
+  Object.defineProperty(wrapped, 'length', { value: fn.length });
+  return wrapped;
+}
+
+function wrapGetter(type, name, get) {
+  return Object.getOwnPropertyDescriptor({
+    get [name]() {
+      return invokeRecorded(type, name, get, this, [], null, true);
+    },
+  }, name).get;
+}
+
+function instrumentTemporal() {
+  const ns = {};
+  for (const [type, Class] of Object.entries(Temporal)) {
+    if (typeof Class !== 'function') {
+      ns[type] = Class;
+      continue;
+    }
+    for (const [owner, isStatic] of [[Class, true], [Class.prototype, false]]) {
+      for (const name of Object.getOwnPropertyNames(owner)) {
+        const desc = Object.getOwnPropertyDescriptor(owner, name);
+        if (name === 'constructor') continue;
+        if (typeof desc.get === 'function' && !isStatic) {
+          Object.defineProperty(owner, name, { ...desc, get: wrapGetter(type, name, desc.get) });
+        } else if (typeof desc.value === 'function') {
+          Object.defineProperty(owner, name, { ...desc, value: wrapMethod(type, name, desc.value, isStatic) });
+        }
+      }
+    }
+    ns[type] = new Proxy(Class, {
+      construct(target, ctorArgs, newTarget) {
+        return invokeRecorded(type, 'constructor', target, null, ctorArgs, newTarget);
+      },
+    });
+  }
+  Object.defineProperty(ns, Symbol.toStringTag, { value: 'Temporal' });
+  return ns;
+}
+
+const RecordedTemporal = instrumentTemporal();
+
+// ── Assertion capture ─────────────────────────────────────────────────────────
+function makeCapture(recorder, phpExceptionFor) {
+  const assertions = [];
+  // { reason, assertion } for assertions captured but not fit for a fixture case
+  const quarantined = [];
+
+  // Every assertion on a Temporal object also records the object's full state
+  // (see temporalState()), which its ISO string alone does not carry. `call`
+  // is left out when no recorded call is known to have produced `actual`.
+  function capture(kind, actual, expected, description) {
+    const call = recorder.callFor(actual);
+    const assertion = { kind, actual: recorder.quietly(() => toStr(actual)), expected, description: description ?? null };
+    if (call) assertion.call = call;
+    const state = recorder.quietly(() => temporalState(actual));
+    if (state) assertion.state = state;
+    assertions.push(assertion);
+  }
+
+  // Drop the fields a helper was not given (era/eraYear for ISO dates)
+  function defined(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined));
+  }
+
+  // The expected object's own state, as compared by the assertXxxEqual helpers
+  function stateOf(expected) {
+    const { $type: _, ...fields } = temporalState(expected) ?? {};
+    return fields;
+  }
+
+  function normDuration(y, mo, w, d, h, mi, s, ms, us, ns) {
+    return {
+      years: y ?? 0, months: mo ?? 0, weeks: w ?? 0, days: d ?? 0,
+      hours: h ?? 0, minutes: mi ?? 0, seconds: s ?? 0,
+      milliseconds: ms ?? 0, microseconds: us ?? 0, nanoseconds: ns ?? 0,
+    };
+  }
+
+  const TemporalHelpers = {
+    assertPlainDate(actual, year, month, monthCode, day, description, era, eraYear) {
+      capture('assertPlainDate', actual, defined({ year, month, monthCode, day, era, eraYear }), description);
+    },
+    assertPlainDatesEqual(actual, expected, description) {
+      capture('assertPlainDate', actual, stateOf(expected), description);
+    },
+    assertPlainTime(actual, h, mi, s, ms, us, ns, description) {
+      capture('assertPlainTime', actual, {
+        hour: h ?? 0, minute: mi ?? 0, second: s ?? 0,
+        millisecond: ms ?? 0, microsecond: us ?? 0, nanosecond: ns ?? 0,
+      }, description);
+    },
+    assertPlainTimesEqual(actual, expected, description) {
+      capture('assertPlainTime', actual, stateOf(expected), description);
+    },
+    assertPlainDateTime(actual, y, mo, mc, d, h, mi, s, ms, us, ns, description, era, eraYear) {
+      capture('assertPlainDateTime', actual, defined({
+        year: y, month: mo, monthCode: mc, day: d,
+        hour: h ?? 0, minute: mi ?? 0, second: s ?? 0,
+        millisecond: ms ?? 0, microsecond: us ?? 0, nanosecond: ns ?? 0,
+        era, eraYear,
+      }), description);
+    },
+    assertPlainDateTimesEqual(actual, expected, description) {
+      capture('assertPlainDateTime', actual, stateOf(expected), description);
+    },
+    assertDuration(actual, y, mo, w, d, h, mi, s, ms, us, ns, description) {
+      capture('assertDuration', actual, normDuration(y, mo, w, d, h, mi, s, ms, us, ns), description);
+    },
+    assertDurationsEqual(actual, expected, description) {
+      capture('assertDuration', actual, normDuration(
+        expected.years, expected.months, expected.weeks, expected.days,
+        expected.hours, expected.minutes, expected.seconds,
+        expected.milliseconds, expected.microseconds, expected.nanoseconds,
+      ), description);
+    },
+    assertPlainYearMonth(actual, y, m, mc, description, era, eraYear) {
+      capture('assertPlainYearMonth', actual, defined({ year: y, month: m, monthCode: mc, era, eraYear }), description);
+    },
+    assertPlainMonthDay(actual, mc, d, description) {
+      capture('assertPlainMonthDay', actual, defined({ monthCode: mc, day: d }), description);
+    },
+    assertInstantsEqual(actual, expected, description) {
+      capture('assertInstant', actual, toStr(expected), description);
+    },
+    assertZonedDateTimesEqual(actual, expected, description) {
+      capture('assertZonedDateTime', actual, {
+        epochNanoseconds: String(expected.epochNanoseconds),
+        timeZoneId: expected.timeZoneId,
+        offset: expected.offset,
+        calendarId: expected.calendarId,
+      }, description);
+    },
+    // assertEpochNs(instantOrZonedDateTime, expectedNs, description), kept as
+    // the Instant/ZonedDateTime assertion the expected epoch time amounts to
+    assertEpochNs(actual, expected, description) {
+      const instant = Temporal.Instant.fromEpochNanoseconds(BigInt(expected));
+      if (!(actual instanceof Temporal.ZonedDateTime)) {
+        capture('assertInstant', actual, toStr(instant), description);
+        return;
+      }
+      capture('assertZonedDateTime', actual, {
+        epochNanoseconds: String(expected),
+        timeZoneId: actual.timeZoneId,
+        offset: instant.toZonedDateTimeISO(actual.timeZoneId).offset,
+        calendarId: actual.calendarId,
+      }, description);
+    },
+    // checkRoundingModeProp(fn, { [roundingMode]: expectedString }, description):
+    // one assertion per rounding mode on the string form of fn(roundingMode)
+    checkRoundingModeProp(fn, expectedByMode, description) {
+      for (const [mode, expected] of Object.entries(expectedByMode ?? {})) {
+        const actual = fn(mode);
+        capture('sameValue', actual, String(expected), `${description ?? 'roundingMode'}: ${mode}`);
+      }
+    },
+    // The real helper checks that converting a PlainDateTime reads its internal
+    // slots rather than its getters, which PHP has no equivalent of. Running
+    // func on an ordinary instance still captures the conversion it exercises.
+    checkPlainDateTimeConversionFastPath(func) {
+      func(new Temporal.PlainDateTime(2000, 5, 2, 12, 34, 56, 987, 654, 321, 'iso8601'), 'iso8601');
+    },
+    // checkPluralUnitsAccepted(func, units): func(plural) must give what
+    // func(singular) gives, compared the way the real helper does
+    checkPluralUnitsAccepted(func, validSingularUnits) {
+      for (const unit of validSingularUnits) {
+        const singular = func(unit);
+        const plural = func(`${unit}s`);
+        const description = `plural ${unit}s produces the same result as singular ${unit}`;
+        const assertEqual = TemporalHelpers[`assert${temporalTypeOf(singular)}sEqual`];
+        if (assertEqual) assertEqual(plural, singular, description);
+        else capture('sameValue', plural, toStr(singular), description);
+      }
+    },
+    // checkStringOptionWrongType(propertyName, value, checkFunc, assertFunc):
+    // the wrong types only exercise JS's ToString() on the option; the valid
+    // value itself still captures what the option does
+    checkStringOptionWrongType(propertyName, value, checkFunc, assertFunc) {
+      assertFunc(checkFunc(value), `${propertyName}: ${value}`);
+    },
+    // checkFractionalSecondDigitsOptionWrongType(timeInstance): every wrong
+    // type throws, and an object converts through its toString(). The real
+    // helper also logs the conversion's property accesses, which PHP has no
+    // equivalent of
+    checkFractionalSecondDigitsOptionWrongType(timeInstance) {
+      const wrongTypes = [[null, 'null'], [true, 'true'], [false, 'false'], [2n, 'bigint'], [{}, 'plain object']];
+      for (const [value, description] of wrongTypes) {
+        assertModule.throws(RangeError, () => timeInstance.toString({ fractionalSecondDigits: value }), description);
+      }
+      assertModule.throws(TypeError, () => timeInstance.toString({ fractionalSecondDigits: Symbol() }), 'symbol');
+      const expected = recorder.quietly(() => timeInstance.toString({ fractionalSecondDigits: 'auto' }));
+      const result = timeInstance.toString({ fractionalSecondDigits: { toString: () => 'auto' } });
+      assertModule.sameValue(result, expected, 'object with toString');
+    },
+    // Stubs for helpers we don't care about
+    checkTemporalUnitPluralsAndSingulars() {},
+    checkTemporalUnitPluralsOnlyFromOption() {},
+    checkOptionalTemporalUnitArgument() {},
+    isValidEpochNanoseconds() { return true; },
+  };
+
+  const assertModule = {
+    sameValue(actual, expected, description) {
+      // Only capture primitive comparisons (toString results, numeric values, booleans)
+      // and objects compared with a string (their toString())
+      const primitive = typeof actual === typeof expected && typeof actual !== 'object';
+      if (primitive || (actual != null && typeof actual.toString === 'function' && typeof expected === 'string')) {
+        const call = recorder.callFor(actual);
+        const assertion = {
+          kind: 'sameValue',
+          actual: primitive ? String(actual) : recorder.quietly(() => actual.toString()),
+          expected: String(expected),
+          description: description ?? null,
+        };
+        if (call) assertion.call = call;
+        assertions.push(assertion);
+      }
+    },
+    notSameValue() {},
+    // Cases are only kept where the polyfill throws what the test expects,
+    // out of a Temporal call that can be replayed on the PHP side; the rest
+    // are quarantined with the reason
+    throws(errorType, fn, description) {
+      const expected = errorType?.name ?? null;
+      recorder.takeThrown();
+      try {
+        fn();
+      } catch (e) {
+        const call = recorder.takeThrown();
+        const thrown = e?.constructor?.name ?? null;
+        const assertion = {
+          kind: 'throws',
+          error: thrown,
+          message: e?.message ?? null,
+          exception: phpExceptionFor(thrown, e?.message ?? ''),
+          description: description ?? null,
+        };
+        if (call) assertion.call = call;
+        if (thrown !== expected) {
+          quarantined.push({ reason: `polyfill threw ${thrown}, expected ${expected}`, assertion: { ...assertion, expected } });
+        } else if (!call) {
+          quarantined.push({ reason: `${thrown} was not thrown by a recorded Temporal call`, assertion });
+        } else {
+          assertions.push(assertion);
+        }
+        return;
+      }
+      quarantined.push({
+        reason: `polyfill did not throw, expected ${expected}`,
+        assertion: { kind: 'throws', error: null, expected, description: description ?? null },
+      });
+    },
+    compareArray() {},
+  };
+
+  return { assertions, quarantined, TemporalHelpers, assert: assertModule };
+}
+
+// ── Consistency check ─────────────────────────────────────────────────────────
+// The polyfill sometimes produces an `actual` whose string form disagrees with
+// the `expected` fields the test asserted (e.g. past Number.MAX_SAFE_INTEGER).
+// Such assertions are quarantined rather than written as fixture cases. The
+// string is parsed here with BigInt, so precision loss in Number cannot hide a
+// mismatch; `state` (the object's getters) is compared as well.
+
+const ISO_DATE = /^([+-]\d{6}|\d{4})-(\d{2})-(\d{2})/;
+const ISO_TIME = /(?:^|T)(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?/;
+const ISO_DURATION =
+  /^(-)?P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)(?:\.(\d{1,9}))?S)?)?$/;
+
+// BigInt for an integral number or digit string, null for anything else
+function big(value) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number' && Number.isInteger(value)) return BigInt(value);
+  if (typeof value === 'string' && /^-?\d+$/.test(value)) return BigInt(value);
+  return null;
+}
+
+function nonIsoCalendar(actual) {
+  const calendar = /\[!?u-ca=([^\]]+)\]/.exec(actual)?.[1];
+  return calendar !== undefined && calendar !== 'iso8601';
+}
+
+function timeFields(match) {
+  const fraction = (match[4] ?? '').padEnd(9, '0');
+  return {
+    hour: BigInt(match[1]), minute: BigInt(match[2]), second: BigInt(match[3] ?? 0),
+    millisecond: BigInt(fraction.slice(0, 3)), microsecond: BigInt(fraction.slice(3, 6)),
+    nanosecond: BigInt(fraction.slice(6, 9)),
+  };
+}
+
+// ISO fields an assertion's `actual` string spells out, or null if it cannot tell
+function parsedFields(kind, actual) {
+  const date = ISO_DATE.exec(actual);
+  const time = ISO_TIME.exec(date ? actual.slice(date[0].length) : actual);
+  const dateFields = date && { year: BigInt(date[1]), month: BigInt(date[2]), day: BigInt(date[3]) };
+  switch (kind) {
+    case 'assertPlainDate':
+      return nonIsoCalendar(actual) ? null : dateFields;
+    case 'assertPlainDateTime':
+      return nonIsoCalendar(actual) || !dateFields || !time ? null : { ...dateFields, ...timeFields(time) };
+    case 'assertPlainTime':
+      return time && timeFields(time);
+    case 'assertPlainYearMonth': {
+      const ym = /^([+-]\d{6}|\d{4})-(\d{2})(?!-)/.exec(actual);
+      return nonIsoCalendar(actual) || !ym ? null : { year: BigInt(ym[1]), month: BigInt(ym[2]) };
+    }
+    case 'assertPlainMonthDay': {
+      const md = /^(?:--)?(\d{2})-(\d{2})(?:$|\[)/.exec(actual);
+      return nonIsoCalendar(actual) || !md ? null : { monthCode: `M${md[1]}`, day: BigInt(md[2]) };
+    }
+    default:
+      return null;
+  }
+}
+
+// A Duration string fixes every unit down to minutes, and the rest only as
+// total nanoseconds (PT1.5S is {seconds: 1, milliseconds: 500} or {milliseconds: 1500})
+function durationMismatch(actual, expected) {
+  const match = ISO_DURATION.exec(actual);
+  if (!match) return null;
+  const sign = match[1] ? -1n : 1n;
+  const units = ['years', 'months', 'weeks', 'days', 'hours', 'minutes'];
+  for (const [i, unit] of units.entries()) {
+    const want = big(expected[unit] ?? 0);
+    const got = sign * BigInt(match[i + 2] ?? 0);
+    if (want !== null && want !== got) return `actual '${actual}' has ${unit} ${got}, expected ${want}`;
+  }
+  const parts = ['seconds', 'milliseconds', 'microseconds', 'nanoseconds'].map(unit => big(expected[unit] ?? 0));
+  if (parts.includes(null)) return null;
+  const [s, ms, us, ns] = parts;
+  const want = s * 1_000_000_000n + ms * 1_000_000n + us * 1_000n + ns;
+  const got = sign * (BigInt(match[8] ?? 0) * 1_000_000_000n + BigInt((match[9] ?? '').padEnd(9, '0')));
+  return want === got ? null : `actual '${actual}' has ${got} ns below a minute, expected ${want}`;
+}
+
+function sameScalar(a, b) {
+  const [x, y] = [big(a), big(b)];
+  return x !== null && y !== null ? x === y : a === b;
+}
+
+/**
+ * Why a captured assertion cannot be trusted, or null if its `actual` agrees
+ * with `expected`: the expected fields must match what the `actual` string
+ * spells out and, where recorded, the object's own `state`.
+ */
+export function inconsistency(assertion) {
+  const { kind, actual, expected, state } = assertion;
+  if (kind === 'throws') return null;
+  if (kind === 'sameValue' || kind === 'assertInstant') {
+    return actual === expected ? null : `actual '${actual}' differs from expected '${expected}'`;
+  }
+  if (expected === null || typeof expected !== 'object') return null;
+
+  if (kind === 'assertDuration') {
+    const mismatch = durationMismatch(actual, expected);
+    if (mismatch) return mismatch;
+  }
+
+  const parsed = parsedFields(kind, actual) ?? {};
+  for (const [field, value] of Object.entries(parsed)) {
+    if (field in expected && !sameScalar(value, expected[field])) {
+      return `actual '${actual}' has ${field} ${value}, expected ${expected[field]}`;
+    }
+  }
+
+  for (const [field, value] of Object.entries(expected)) {
+    if (state && field in state && !sameScalar(state[field], value)) {
+      return `state has ${field} ${state[field]}, expected ${value}`;
+    }
+  }
+  return null;
+}
+
+// ── File runner ───────────────────────────────────────────────────────────────
+function runTestFile(filePath, source, target, { timeout, phpExceptionFor }) {
+  const recorder = makeRecorder(target);
+  const { assertions, quarantined, TemporalHelpers, assert } = makeCapture(recorder, phpExceptionFor);
+
+  const context = vm.createContext({
+    Temporal: RecordedTemporal,
+    TemporalHelpers,
+    assert,
+    console,
+    // Stubs for things tests might access
+    $DONE: () => {},
+    $262: { createRealm: () => ({}) },
+    Array, Object, Math, Number, String, Boolean, Symbol, BigInt,
+    Error, TypeError, RangeError, SyntaxError,
+    Promise, Set, Map, WeakSet, WeakMap,
+    JSON, Reflect, Proxy, undefined,
+    isNaN, isFinite, parseInt, parseFloat, encodeURIComponent, decodeURIComponent,
+  });
+
+  activeRecorder = recorder;
+  try {
+    vm.runInContext(source, context, { filename: filePath, timeout });
+  } catch (e) {
+    const reason = e?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? 'runtime-timeout' : 'runtime-error';
+    return { reason, error: String(e?.message ?? e) };
+  } finally {
+    activeRecorder = null;
+  }
+
+  return { assertions, quarantined, usesTimeZone: recorder.usesTimeZone };
+}
+
+/**
+ * Read, classify and run one test262 file. Results cross the worker boundary,
+ * so they are plain data: `{ esid, description, status: 'extracted', assertions, quarantined, usesTimeZone }`,
+ * `{ esid, status: 'skipped', reason, error?, quarantined?, usesTimeZone? }`, or null for an
+ * unreadable file. `quarantined` lists `{ reason, assertion }` for assertions that
+ * failed inconsistency() and assert.throws() cases the polyfill does not reproduce.
+ *
+ * @param {{exceptions: string, calendars?: string[], timeout?: number}} options
+ *   exceptions: path of the JS error → PHP exception rules; calendars: the
+ *   calendar IDs the PHP port supports; timeout: ms a file may run
+ */
+export function createFileRunner({ exceptions, calendars = ['iso8601'], timeout = 5000 }) {
+  const phpExceptionFor = loadExceptionRules(exceptions);
+  const supportedCalendars = new Set(calendars);
+
+  return function runFile(filePath, target) {
+    let source;
+    try {
+      source = readFileSync(filePath, 'utf8');
+    } catch (_) {
+      return null;
+    }
+
+    const classification = classifyTest(filePath, source, supportedCalendars);
+    const esid = classification.attrs.esid ?? null;
+    const description = classification.attrs.description?.trim() ?? null;
+    if (!classification.translatable) return { esid, status: 'skipped', reason: classification.reason };
+
+    const result = runTestFile(filePath, source, target, { timeout, phpExceptionFor });
+    if (result.reason) return { esid, status: 'skipped', reason: result.reason, error: result.error };
+    const { usesTimeZone } = result;
+    const assertions = [];
+    const quarantined = [...result.quarantined];
+    for (const assertion of result.assertions) {
+      const reason = inconsistency(assertion);
+      if (reason) quarantined.push({ reason, assertion });
+      else assertions.push(assertion);
+    }
+    if (assertions.length > 0) {
+      return { esid, description, status: 'extracted', assertions, quarantined, usesTimeZone };
+    }
+    const reason = quarantined.length > 0 ? 'quarantined' : 'no-assertions';
+    return { esid, status: 'skipped', reason, quarantined, usesTimeZone };
+  };
+}
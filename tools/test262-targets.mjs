@@ -0,0 +1,99 @@
+/**
+ * test262 extraction targets, shared by tools/extract-test262.mjs and
+ * tools/test262-bridge.mjs
+ *
+ * A target is one Temporal type/method directory in the test262 tree:
+ *   { dir, type, method, static, recursive, suite, source, fixture, glob }
+ */
+
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// ── Targets: discovered from the test262 tree ───────────────────────────────
+// Every `<Type>/<method>/` (static) and `<Type>/prototype/<method>/` directory
+// becomes a target; files directly under `<Type>/` test the constructor.
+// Both test/built-ins/Temporal and test/intl402/Temporal (calendar-aware
+// behaviour: eras, month codes, non-ISO calendars) are searched; intl402
+// targets write `<Type>.<method>.intl402.json` next to the built-ins fixture.
+// tools/test262-targets.json holds allow/deny globs over those directory paths
+// (`*` matches one path segment, `**` any number of them), with intl402 paths
+// prefixed `intl402/`.
+export const TARGET_CONFIG = JSON.parse(readFileSync(join(__dirname, 'test262-targets.json'), 'utf8'));
+
+function globToRegExp(glob) {
+  const pattern = glob
+    .split('/')
+    .map(seg => seg === '**' ? '.*' : seg.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*'))
+    .join('/');
+  return new RegExp(`^${pattern}$`);
+}
+
+const ALLOW = (TARGET_CONFIG.allow ?? []).map(globToRegExp);
+const DENY = (TARGET_CONFIG.deny ?? []).map(globToRegExp);
+
+function isWanted(dir) {
+  if (ALLOW.length > 0 && !ALLOW.some(re => re.test(dir))) return false;
+  return !DENY.some(re => re.test(dir));
+}
+
+function subdirs(dir) {
+  try {
+    return readdirSync(dir).filter(e => statSync(join(dir, e)).isDirectory()).sort();
+  } catch (_) {
+    return [];
+  }
+}
+
+const SUITES = [
+  { name: 'built-ins', root: 'test/built-ins/Temporal', prefix: '', suffix: '' },
+  { name: 'intl402', root: 'test/intl402/Temporal', prefix: 'intl402/', suffix: '.intl402' },
+];
+
+export function discoverTargets(test262Dir) {
+  const targets = [];
+  for (const suite of SUITES) {
+    const root = join(test262Dir, suite.root);
+    const add = (dir, type, method, isStatic, recursive) => targets.push({
+      dir, type, method, static: isStatic, recursive,
+      suite: suite.name,
+      source: `${suite.root}/${dir}`,
+      fixture: `${type}.${method}${suite.suffix}.json`,
+      glob: `${suite.prefix}${dir}`,
+    });
+    for (const type of subdirs(root)) {
+      add(type, type, 'constructor', true, false);
+      for (const method of subdirs(join(root, type))) {
+        if (method !== 'prototype') add(`${type}/${method}`, type, method, true, true);
+      }
+      for (const method of subdirs(join(root, type, 'prototype'))) {
+        add(`${type}/prototype/${method}`, type, method, false, true);
+      }
+    }
+  }
+  return targets.filter(t => isWanted(t.glob));
+}
+
+// ── Walk directory ────────────────────────────────────────────────────────────
+export function walkDir(dir, recursive = true) {
+  const files = [];
+  try {
+    for (const entry of readdirSync(dir)) {
+      const full = join(dir, entry);
+      const stat = statSync(full);
+      if (stat.isDirectory()) {
+        if (recursive) files.push(...walkDir(full));
+      } else if (entry.endsWith('.js')) {
+        files.push(full);
+      }
+    }
+  } catch (_) {}
+  return files;
+}
+
+// --target=PlainDate selects a type, --target=PlainDate.add one method
+export function matchesTarget(target, targetArg) {
+  return !targetArg || target.type === targetArg || `${target.type}.${target.method}` === targetArg;
+}